@@ -0,0 +1,94 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const {
+  PROJECT_TRASH_RETENTION_DAYS,
+  autoArchiveDaysOf,
+  archiveProject,
+  purgeProject
+} = require('../utils/archive');
+const { recordActivity } = require('../utils/activity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Archive done tasks and completed projects in projects with auto-archive on.
+// Returns the number of tasks archived.
+const runAutoArchive = async (io) => {
+  const projects = await Project.find({ 'settings.autoArchive': true, isArchived: false, deletedAt: null });
+  let archived = 0;
+
+  for (const project of projects) {
+    const cutoff = new Date(Date.now() - autoArchiveDaysOf(project) * DAY_MS);
+    const projectId = project._id.toString();
+
+    // Projects completed for the period go with all their tasks; those
+    // completed before completedAt was recorded fall back to updatedAt
+    if (project.status === 'completed' && (project.completedAt || project.updatedAt) <= cutoff) {
+      const taskCount = await archiveProject(project);
+      archived += taskCount;
+
+      await recordActivity({
+        type: 'project.archived',
+        project: project._id,
+        targetName: project.name,
+        data: { taskCount, automatic: true }
+      });
+      io.to(projectId).emit('project-archived', { projectId, isArchived: true });
+      continue;
+    }
+
+    const tasks = await Task.find({
+      project: project._id,
+      isArchived: false,
+      statusCategory: 'done',
+      completedAt: { $lte: cutoff }
+    }).select('title');
+    if (tasks.length === 0) continue;
+
+    const taskIds = tasks.map(task => task._id);
+    await Task.updateMany(
+      { _id: { $in: taskIds }, isArchived: false },
+      { $set: { isArchived: true, archivedAt: new Date() } }
+    );
+    archived += tasks.length;
+
+    for (const task of tasks) {
+      await recordActivity({
+        type: 'task.archived',
+        project: project._id,
+        task: task._id,
+        targetName: task.title,
+        data: { automatic: true }
+      });
+    }
+
+    io.to(projectId).emit('tasks-bulk-updated', {
+      projectId,
+      action: 'archive',
+      tasks: [],
+      removedTaskIds: taskIds,
+      actor: null
+    });
+  }
+
+  return archived;
+};
+
+// Permanently delete projects that have been in the trash for the retention period
+const purgeTrash = async () => {
+  const cutoff = new Date(Date.now() - PROJECT_TRASH_RETENTION_DAYS * DAY_MS);
+  const projects = await Project.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const project of projects) {
+    const taskCount = await purgeProject(project);
+    await recordActivity({
+      type: 'project.deleted',
+      project: project._id,
+      targetName: project.name,
+      data: { taskCount, permanent: true, automatic: true }
+    });
+  }
+
+  return projects.length;
+};
+
+module.exports = { runAutoArchive, purgeTrash };
\ No newline at end of file
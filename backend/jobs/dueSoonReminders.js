@@ -0,0 +1,44 @@
+const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const { notify, getTaskAudience } = require('../utils/notifications');
+
+const DUE_SOON_HOURS = parseInt(process.env.DUE_SOON_HOURS) || 24;
+
+// Notify followers of open tasks that fall due within the reminder window.
+// Each due date is announced once; changing the due date re-arms the reminder.
+const runDueSoonReminders = async (io) => {
+  const now = new Date();
+  const windowEnd = new Date(now.getTime() + DUE_SOON_HOURS * 60 * 60 * 1000);
+
+  const tasks = await Task.find({
+    isArchived: false,
+    statusCategory: { $ne: 'done' },
+    dueDate: { $gte: now, $lte: windowEnd }
+  }).select('title project reporter assignee watchers dueDate');
+
+  let sent = 0;
+
+  for (const task of tasks) {
+    const alreadySent = await Notification.exists({
+      task: task._id,
+      type: 'due-soon',
+      'data.dueDate': task.dueDate
+    });
+    if (alreadySent) continue;
+
+    const notifications = await notify(io, {
+      recipients: getTaskAudience(task),
+      type: 'due-soon',
+      title: `"${task.title}" is due soon`,
+      message: `Due ${task.dueDate.toISOString()}`,
+      task: task._id,
+      project: task.project,
+      data: { dueDate: task.dueDate }
+    });
+    sent += notifications.length;
+  }
+
+  return sent;
+};
+
+module.exports = { runDueSoonReminders };
@@ -0,0 +1,95 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const EmailJob = require('../models/EmailJob');
+const { queueUserEmail } = require('../utils/email');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR) || 8;
+const DIGEST_WEEKDAY = process.env.DIGEST_WEEKDAY !== undefined ? parseInt(process.env.DIGEST_WEEKDAY) : 1;
+
+const OPEN_TASK_FILTER = {
+  isArchived: false,
+  statusCategory: { $ne: 'done' }
+};
+
+const startOfDay = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// Email assignees about overdue tasks, at most once a day per user
+const runOverdueEmails = async () => {
+  const now = new Date();
+
+  const overdueByUser = await Task.aggregate([
+    { $match: { ...OPEN_TASK_FILTER, assignee: { $ne: null }, dueDate: { $lt: now } } },
+    { $sort: { dueDate: 1 } },
+    { $group: { _id: '$assignee', tasks: { $push: { _id: '$_id', title: '$title', status: '$status', dueDate: '$dueDate' } } } }
+  ]);
+
+  let queued = 0;
+
+  for (const group of overdueByUser) {
+    const recentlySent = await EmailJob.exists({
+      template: 'overdue',
+      recipient: group._id,
+      createdAt: { $gte: new Date(now.getTime() - DAY) }
+    });
+    if (recentlySent) continue;
+
+    const user = await User.findOne({ _id: group._id, isActive: true })
+      .select('email firstName lastName preferences.notifications');
+    if (!user || user.preferences.notifications.taskUpdates === false) continue;
+
+    if (await queueUserEmail(user, 'overdue', { tasks: group.tasks })) queued += 1;
+  }
+
+  return queued;
+};
+
+// Send daily and weekly "my tasks" digests once the configured hour has passed
+const runDigestEmails = async () => {
+  const now = new Date();
+  if (now.getHours() < DIGEST_HOUR) return 0;
+
+  const today = startOfDay(now);
+  const frequencies = ['daily'];
+  if (now.getDay() === DIGEST_WEEKDAY) frequencies.push('weekly');
+
+  const users = await User.find({
+    isActive: true,
+    'preferences.notifications.email': { $ne: false },
+    'preferences.notifications.digest': { $in: frequencies },
+    $or: [
+      { lastDigestSentAt: null },
+      { lastDigestSentAt: { $lt: today } }
+    ]
+  }).select('email firstName lastName preferences.notifications lastDigestSentAt');
+
+  let queued = 0;
+
+  for (const user of users) {
+    const frequency = user.preferences.notifications.digest;
+    const horizon = new Date(today.getTime() + (frequency === 'weekly' ? 7 : 2) * DAY);
+
+    const tasks = await Task.find({ ...OPEN_TASK_FILTER, assignee: user._id })
+      .select('title status statusCategory dueDate')
+      .sort({ dueDate: 1 });
+
+    const overdue = tasks.filter(task => task.dueDate && task.dueDate < now);
+    const dueSoon = tasks.filter(task => task.dueDate && task.dueDate >= now && task.dueDate < horizon);
+    const inProgress = tasks.filter(task => task.statusCategory === 'active');
+
+    if (overdue.length || dueSoon.length || inProgress.length) {
+      await queueUserEmail(user, 'digest', { frequency, overdue, dueSoon, inProgress }, { frequency });
+      queued += 1;
+    }
+
+    await User.updateOne({ _id: user._id }, { lastDigestSentAt: now });
+  }
+
+  return queued;
+};
+
+module.exports = { runOverdueEmails, runDigestEmails };
@@ -0,0 +1,30 @@
+const { runDueSoonReminders } = require('./dueSoonReminders');
+const { runOverdueEmails, runDigestEmails } = require('./emailReminders');
+const { runRecurringTasks } = require('./recurringTasks');
+const { runAutoArchive, purgeTrash } = require('./archiving');
+const { processEmailQueue } = require('../utils/email');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Run a job now and then on a fixed interval, logging failures
+const every = (name, intervalMs, job) => {
+  const run = () => job().catch(error => console.error(`${name} job error:`, error));
+  run();
+  return setInterval(run, intervalMs);
+};
+
+// Start background jobs; returns the timers so callers can stop them
+const startJobs = (io) => {
+  return [
+    every('Due soon reminders', HOUR, () => runDueSoonReminders(io)),
+    every('Email queue', MINUTE, processEmailQueue),
+    every('Overdue emails', HOUR, runOverdueEmails),
+    every('Digest emails', 15 * MINUTE, runDigestEmails),
+    every('Recurring tasks', 15 * MINUTE, () => runRecurringTasks(io)),
+    every('Auto-archive', HOUR, () => runAutoArchive(io)),
+    every('Trash purge', HOUR, purgeTrash)
+  ];
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,30 @@
+const TaskSeries = require('../models/TaskSeries');
+const { createOccurrence } = require('../utils/recurrence');
+
+// Occurrences one series may catch up on per run after downtime
+const MAX_CATCH_UP = 10;
+
+// Create the due occurrences of series that generate on a schedule
+const runRecurringTasks = async (io) => {
+  const series = await TaskSeries.find({
+    isActive: true,
+    generate: 'on-schedule',
+    nextRunAt: { $lte: new Date() }
+  });
+
+  let created = 0;
+
+  for (const item of series) {
+    let current = item;
+    for (let i = 0; i < MAX_CATCH_UP && current && current.isActive && current.nextRunAt <= new Date(); i += 1) {
+      const task = await createOccurrence(current, current.nextOccurrenceDate, io);
+      if (!task) break;
+      created += 1;
+      current = await TaskSeries.findById(current._id);
+    }
+  }
+
+  return created;
+};
+
+module.exports = { runRecurringTasks };
\ No newline at end of file
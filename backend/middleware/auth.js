@@ -1,5 +1,60 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Error with a message that is safe to send back to the client
+const authError = (message) => {
+  const error = new Error(message);
+  error.name = 'AuthError';
+  return error;
+};
+
+// Verify an access token, its session and its active user (shared by HTTP and Socket.IO auth)
+const verifyToken = async (token) => {
+  if (!token) {
+    throw authError('No token provided, authorization denied');
+  }
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sessionId) {
+    throw authError('Token is not valid');
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+
+  if (!user) {
+    throw authError('Token is not valid');
+  }
+
+  if (!user.isActive) {
+    throw authError('Account is deactivated');
+  }
+
+  const session = await Session.findById(decoded.sessionId).select('user revokedAt');
+  if (!session || session.revokedAt || !session.user.equals(user._id)) {
+    throw authError('Session has been revoked');
+  }
+
+  return { user, sessionId: session._id.toString() };
+};
+
+// Admins must enrol in 2FA when REQUIRE_ADMIN_2FA is on
+const isTwoFactorRequired = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && user.role === 'admin';
+};
+
+const needsTwoFactorSetup = (user) => {
+  return isTwoFactorRequired(user) && !(user.twoFactor && user.twoFactor.enabled);
+};
+
+// Routes a user who still has to set up 2FA can reach
+const TWO_FACTOR_SETUP_PATHS = [
+  '/api/auth/profile',
+  '/api/auth/logout',
+  '/api/auth/verify-token',
+  '/api/auth/2fa/setup',
+  '/api/auth/2fa/confirm'
+];
 
 const auth = async (req, res, next) => {
   try {
@@ -9,22 +64,24 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
-    
-    if (!user) {
-      return res.status(401).json({ message: 'Token is not valid' });
-    }
+    const { user, sessionId } = await verifyToken(token);
+    req.user = user;
+    req.sessionId = sessionId;
 
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated' });
+    if (needsTwoFactorSetup(user) && !TWO_FACTOR_SETUP_PATHS.includes(req.baseUrl + req.path)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up for this account',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
     }
 
-    req.user = user;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Token has expired' });
+    }
     console.error('Auth middleware error:', error);
-    res.status(401).json({ message: 'Token is not valid' });
+    res.status(401).json({ message: error.name === 'AuthError' ? error.message : 'Token is not valid' });
   }
 };
 
@@ -54,4 +111,12 @@ const managerAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, adminAuth, managerAuth };
\ No newline at end of file
+module.exports = {
+  auth,
+  adminAuth,
+  managerAuth,
+  verifyToken,
+  authError,
+  isTwoFactorRequired,
+  needsTwoFactorSetup
+};
\ No newline at end of file
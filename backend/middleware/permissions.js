@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Organization = require('../models/Organization');
+const { ensurePersonalOrganization } = require('../utils/organizations');
+
+// What each project role is allowed to do
+const ROLE_CAPABILITIES = {
+  owner: [
+    'view', 'comment', 'log-time', 'create-task', 'edit-own-task', 'edit-any-task',
+    'delete-any-task', 'moderate-comments', 'manage-members', 'manage-project', 'delete-project'
+  ],
+  admin: [
+    'view', 'comment', 'log-time', 'create-task', 'edit-own-task', 'edit-any-task',
+    'delete-any-task', 'moderate-comments', 'manage-members', 'manage-project'
+  ],
+  member: ['view', 'comment', 'log-time', 'create-task', 'edit-own-task'],
+  viewer: ['view']
+};
+
+// What each organization role is allowed to do
+const ORGANIZATION_CAPABILITIES = {
+  owner: ['view-organization', 'create-project', 'share-templates', 'manage-organization', 'manage-organization-members', 'delete-organization'],
+  admin: ['view-organization', 'create-project', 'share-templates', 'manage-organization', 'manage-organization-members'],
+  member: ['view-organization', 'create-project']
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Effective project role for a user, taking the global User.role into account:
+// global admins act as owners of every project and global managers get admin
+// rights in projects where they are regular members.
+const getProjectRole = (project, user) => {
+  if (user.role === 'admin') return 'owner';
+  if (idOf(project.owner) === idOf(user)) return 'owner';
+
+  const member = project.members.find(item => idOf(item.user) === idOf(user));
+  if (!member) return null;
+
+  if (user.role === 'manager' && member.role === 'member') return 'admin';
+  return member.role;
+};
+
+// Check whether a role grants a capability
+const can = (role, capability) => {
+  return !!role && (ROLE_CAPABILITIES[role] || []).includes(capability);
+};
+
+// Organization role of a user; global admins act as owners of every organization
+const getOrganizationRole = (organization, user) => {
+  if (user.role === 'admin') return 'owner';
+
+  const member = organization.members.find(item => idOf(item.user) === idOf(user));
+  return member ? member.role : null;
+};
+
+const canInOrganization = (role, capability) => {
+  return !!role && (ORGANIZATION_CAPABILITIES[role] || []).includes(capability);
+};
+
+// Tasks a user reported or is assigned to count as their own
+const isOwnTask = (task, user) => {
+  return idOf(task.reporter) === idOf(user) ||
+         (!!task.assignee && idOf(task.assignee) === idOf(user));
+};
+
+const canEditTask = (role, task, user) => {
+  return can(role, 'edit-any-task') || (can(role, 'edit-own-task') && isOwnTask(task, user));
+};
+
+const canDeleteTask = (role, task, user) => {
+  return can(role, 'delete-any-task') || (can(role, 'edit-own-task') && idOf(task.reporter) === idOf(user));
+};
+
+// Task-level checks that depend on the task as well as the role
+const TASK_CHECKS = {
+  'edit-task': canEditTask,
+  'delete-task': canDeleteTask
+};
+
+const checkTask = (capability, role, task, user) => {
+  return TASK_CHECKS[capability]
+    ? TASK_CHECKS[capability](role, task, user)
+    : can(role, capability);
+};
+
+// Load the task named by a route parameter (with its project), require a
+// capability on it and expose req.task, req.project and req.projectRole
+const loadTask = (capability, param = 'id') => async (req, res, next) => {
+  try {
+    const taskId = req.params[param];
+    const task = mongoose.isValidObjectId(taskId)
+      ? await Task.findById(taskId).populate('project')
+      : null;
+
+    // Tasks of projects in the trash are hidden until the project is restored
+    if (!task || !task.project || task.project.deletedAt) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const role = getProjectRole(task.project, req.user);
+    if (!role) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!checkTask(capability, role, task, req.user)) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+
+    req.task = task;
+    req.project = task.project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    console.error('Load task permission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load a project by route parameter (or request body field), require a
+// capability on it and expose req.project and req.projectRole. Projects in the
+// trash are only found with `trashed`, and then only them.
+const loadProject = (capability, { param = 'id', bodyField, trashed = false } = {}) => async (req, res, next) => {
+  try {
+    const projectId = bodyField ? req.body[bodyField] : req.params[param];
+
+    // Leave malformed body IDs to the route's validators
+    if (bodyField && !mongoose.isValidObjectId(projectId)) return next();
+
+    const project = mongoose.isValidObjectId(projectId)
+      ? await Project.findOne({ _id: projectId, deletedAt: trashed ? { $ne: null } : null })
+      : null;
+
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    const role = getProjectRole(project, req.user);
+    if (!role) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!can(role, capability)) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    console.error('Load project permission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Load an organization by route parameter, require a capability on it and
+// expose req.organization and req.organizationRole
+const loadOrganization = (capability, param = 'id') => async (req, res, next) => {
+  try {
+    const organizationId = req.params[param];
+    const organization = mongoose.isValidObjectId(organizationId)
+      ? await Organization.findById(organizationId)
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const role = getOrganizationRole(organization, req.user);
+    if (!role) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!canInOrganization(role, capability)) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+
+    req.organization = organization;
+    req.organizationRole = role;
+    next();
+  } catch (error) {
+    console.error('Load organization permission error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Pick the organization a request works in: the X-Organization-Id header,
+// else the one the user last switched to, else their personal organization.
+// Exposes req.organization and req.organizationRole.
+const resolveOrganization = async (req, res, next) => {
+  try {
+    const requestedId = req.get('X-Organization-Id');
+    let organization = null;
+
+    if (requestedId) {
+      organization = mongoose.isValidObjectId(requestedId)
+        ? await Organization.findById(requestedId)
+        : null;
+
+      if (!organization || !getOrganizationRole(organization, req.user)) {
+        return res.status(403).json({
+          message: 'You do not have access to this organization',
+          code: 'ORGANIZATION_ACCESS_DENIED'
+        });
+      }
+    } else if (req.user.activeOrganization) {
+      organization = await Organization.findById(req.user.activeOrganization);
+
+      // The user may have left or been removed since switching to it
+      if (organization && !getOrganizationRole(organization, req.user)) {
+        organization = null;
+      }
+    }
+
+    if (!organization) {
+      organization = await ensurePersonalOrganization(req.user);
+    }
+
+    req.organization = organization;
+    req.organizationRole = getOrganizationRole(organization, req.user);
+    next();
+  } catch (error) {
+    console.error('Resolve organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = {
+  ROLE_CAPABILITIES,
+  ORGANIZATION_CAPABILITIES,
+  getProjectRole,
+  getOrganizationRole,
+  can,
+  canInOrganization,
+  isOwnTask,
+  canEditTask,
+  canDeleteTask,
+  loadTask,
+  loadProject,
+  loadOrganization,
+  resolveOrganization
+};
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const activitySchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: [
+      'project.created',
+      'project.updated',
+      'project.deleted',
+      'project.archived',
+      'project.unarchived',
+      'project.restored',
+      'member.added',
+      'member.removed',
+      'task.created',
+      'task.updated',
+      'task.deleted',
+      'task.archived',
+      'task.unarchived',
+      'comment.added',
+      'comment.edited',
+      'comment.deleted',
+      'sprint.created',
+      'sprint.updated',
+      'sprint.deleted',
+      'sprint.started',
+      'sprint.completed'
+    ],
+    required: [true, 'Activity type is required']
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  // Title of the task or name of the project at the time, kept for deleted records
+  targetName: {
+    type: String,
+    trim: true
+  },
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+activitySchema.index({ project: 1, createdAt: -1 });
+activitySchema.index({ task: 1, createdAt: -1 });
+activitySchema.index({ actor: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Days finished jobs are kept, e.g. to avoid sending the same reminder twice
+const EMAIL_JOB_RETENTION_DAYS = parseInt(process.env.EMAIL_JOB_RETENTION_DAYS) || 30;
+
+const emailJobSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: [true, 'Recipient address is required'],
+    lowercase: true,
+    trim: true
+  },
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  template: {
+    type: String,
+    required: [true, 'Template is required']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required']
+  },
+  // Rendered bodies may hold one-time links, so they are cleared once the job
+  // is sent or has failed for good
+  text: String,
+  html: String,
+  meta: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  sentAt: Date,
+  // Set when the job is sent or has failed for good; expires the job
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ template: 1, recipient: 1 });
+emailJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: EMAIL_JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmailJob', emailJobSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS) || 90;
+
+// One login attempt, successful or not
+const loginAttemptSchema = new mongoose.Schema({
+  // Unset when the login name did not match any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Email or username as typed
+  login: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  // How the user signed in, or why the attempt failed
+  method: {
+    type: String,
+    enum: ['password', 'totp', 'recovery-code']
+  },
+  reason: {
+    type: String,
+    enum: ['unknown-user', 'invalid-password', 'invalid-2fa-code', 'locked', 'deactivated', 'email-not-verified', 'ip-blocked']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
\ No newline at end of file
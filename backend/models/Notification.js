@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: ['task-assigned', 'task-unassigned', 'status-changed', 'comment', 'mention', 'due-soon', 'member-added'],
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Notification title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
+notificationSchema.index({ task: 1, type: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
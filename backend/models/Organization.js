@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { workflowSchema } = require('./workflowSchema');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [100, 'Organization name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers and dashes'],
+    maxlength: [60, 'Slug cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Organization owner is required']
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'admin', 'member'],
+      default: 'member'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Created automatically for every user; holds projects made before
+  // organizations existed
+  isPersonal: {
+    type: Boolean,
+    default: false
+  },
+  // Copied into new projects of the organization
+  defaults: {
+    labels: [{
+      name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [30, 'Label cannot exceed 30 characters']
+      },
+      color: {
+        type: String,
+        default: '#9E9E9E',
+        match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color']
+      }
+    }],
+    // 0 = Sunday ... 6 = Saturday
+    workingDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [1, 2, 3, 4, 5]
+    },
+    workflow: workflowSchema
+  }
+}, {
+  timestamps: true
+});
+
+// Add owner to members on creation, as projects do
+organizationSchema.pre('save', function(next) {
+  if (this.isNew) {
+    const ownerExists = this.members.some(member =>
+      member.user.toString() === this.owner.toString()
+    );
+
+    if (!ownerExists) {
+      this.members.push({
+        user: this.owner,
+        role: 'owner',
+        joinedAt: new Date()
+      });
+    }
+  }
+  next();
+});
+
+organizationSchema.index({ owner: 1 });
+organizationSchema.index({ 'members.user': 1 });
+// At most one personal organization per user
+organizationSchema.index(
+  { owner: 1, isPersonal: 1 },
+  { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+module.exports = mongoose.model('Organization', organizationSchema);
\ No newline at end of file
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { workflowSchema } = require('./workflowSchema');
+const { getWorkflow } = require('../utils/workflows');
 
 const projectSchema = new mongoose.Schema({
   name: {
@@ -32,6 +34,10 @@ const projectSchema = new mongoose.Schema({
   deadline: {
     type: Date
   },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -58,6 +64,42 @@ const projectSchema = new mongoose.Schema({
     trim: true,
     maxlength: [30, 'Tag cannot exceed 30 characters']
   }],
+  // Task states; projects without one use the default workflow
+  workflow: workflowSchema,
+  board: {
+    // Most tasks allowed in a workflow state's column at once
+    wipLimits: [{
+      state: {
+        type: String,
+        required: true
+      },
+      limit: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    // 'warn' lets moves over a limit through with a warning, 'block' rejects them
+    wipEnforcement: {
+      type: String,
+      enum: ['warn', 'block'],
+      default: 'warn'
+    }
+  },
+  // Suggested task labels, seeded from the organization defaults
+  labels: [{
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [30, 'Label cannot exceed 30 characters']
+    },
+    color: {
+      type: String,
+      default: '#9E9E9E',
+      match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color']
+    }
+  }],
   color: {
     type: String,
     default: '#2196F3',
@@ -90,6 +132,18 @@ const projectSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  archivedAt: Date,
+  // When the status last became 'completed'; auto-archiving counts from here
+  completedAt: Date,
+  // Deleted projects stay in the trash until they are restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   settings: {
     isPublic: {
       type: Boolean,
@@ -99,9 +153,25 @@ const projectSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Archive done tasks after autoArchiveDays (falling back to
+    // AUTO_ARCHIVE_DAYS), and the project itself once it is completed
     autoArchive: {
       type: Boolean,
       default: false
+    },
+    autoArchiveDays: {
+      type: Number,
+      min: 1,
+      max: 365
+    },
+    storageQuota: {
+      type: Number, // in megabytes, falls back to PROJECT_STORAGE_QUOTA_MB
+      min: 0
+    },
+    // 0 = Sunday ... 6 = Saturday
+    workingDays: {
+      type: [{ type: Number, min: 0, max: 6 }],
+      default: [1, 2, 3, 4, 5]
     }
   }
 }, {
@@ -118,13 +188,19 @@ projectSchema.virtual('taskCount', {
   count: true
 });
 
-// Virtual for completed task count
+// Virtual for completed task count; done states count whatever their key,
+// except cancelled ones
 projectSchema.virtual('completedTaskCount', {
   ref: 'Task',
   localField: '_id',
   foreignField: 'project',
   count: true,
-  match: { status: 'completed' }
+  match: (project) => ({
+    statusCategory: 'done',
+    status: {
+      $nin: getWorkflow(project).states.filter(state => state.cancelled).map(state => state.key)
+    }
+  })
 });
 
 // Virtual for days remaining
@@ -153,15 +229,21 @@ projectSchema.pre('save', function(next) {
       });
     }
   }
+
+  if (this.isModified('status')) {
+    this.completedAt = this.status === 'completed' ? this.completedAt || new Date() : undefined;
+  }
   next();
 });
 
 // Index for better query performance
+projectSchema.index({ organization: 1 });
 projectSchema.index({ owner: 1 });
 projectSchema.index({ 'members.user': 1 });
 projectSchema.index({ status: 1 });
 projectSchema.index({ priority: 1 });
 projectSchema.index({ isArchived: 1 });
+projectSchema.index({ deletedAt: 1 });
 projectSchema.index({ createdAt: -1 });
 
 module.exports = mongoose.model('Project', projectSchema);
\ No newline at end of file
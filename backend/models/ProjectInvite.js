@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Invitation to join a project, either sent to one email address or shared as a link
+const projectInviteSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  type: {
+    type: String,
+    enum: ['email', 'link'],
+    required: true
+  },
+  // Only set for email invites
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member', 'viewer'],
+    default: 'member'
+  },
+  // Only a hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Link invites stop working after maxUses acceptances (null for unlimited)
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  acceptedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  respondedAt: Date,
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: Date
+}, {
+  timestamps: true
+});
+
+// Hide the token hash from API responses
+projectInviteSchema.methods.toJSON = function() {
+  const invite = this.toObject();
+  delete invite.tokenHash;
+  return invite;
+};
+
+projectInviteSchema.index({ project: 1, status: 1 });
+projectInviteSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('ProjectInvite', projectInviteSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A signed-in device; access tokens are tied to a session so it can be revoked
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Only hashes of refresh tokens are stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousTokenHash: String,
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'revoked', 'password-changed', 'password-reset', 'refresh-token-reuse', 'deactivated']
+  }
+}, {
+  timestamps: true
+});
+
+// Hide token hashes from API responses
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousTokenHash;
+  return session;
+};
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
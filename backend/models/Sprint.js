@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const sprintSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Sprint name is required'],
+    trim: true,
+    maxlength: [100, 'Sprint name cannot exceed 100 characters']
+  },
+  goal: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Goal cannot exceed 500 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // Story points the team expects to finish
+  capacity: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['planned', 'active', 'completed'],
+    default: 'planned'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  // Points planned into the sprint when it started
+  committedPoints: {
+    type: Number,
+    default: 0
+  },
+  // Points finished by the time the sprint was completed
+  completedPoints: {
+    type: Number,
+    default: 0
+  },
+  // Unfinished tasks moved on at completion, kept for the sprint's burndown
+  carriedOver: [{
+    _id: false,
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task'
+    },
+    storyPoints: {
+      type: Number,
+      default: 0
+    }
+  }],
+  carriedOverTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+sprintSchema.index({ project: 1, startDate: 1 });
+sprintSchema.index({ project: 1, status: 1 });
+
+module.exports = mongoose.model('Sprint', sprintSchema);
\ No newline at end of file
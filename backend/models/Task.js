@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { STATUS_CATEGORIES } = require('./workflowSchema');
+const { getWorkflow, findState, initialStateOf } = require('../utils/workflows');
 
 const commentSchema = new mongoose.Schema({
   author: {
@@ -8,22 +10,65 @@ const commentSchema = new mongoose.Schema({
   },
   content: {
     type: String,
-    required: [true, 'Comment content is required'],
+    required: [function() { return !this.isDeleted; }, 'Comment content is required'],
     trim: true,
     maxlength: [1000, 'Comment cannot exceed 1000 characters']
   },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  reactions: [{
+    emoji: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [16, 'Reaction cannot exceed 16 characters']
+    },
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }],
   attachments: [{
     filename: String,
     originalName: String,
     mimetype: String,
     size: Number,
-    url: String
+    url: String,
+    key: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    },
+    image: {
+      width: Number,
+      height: Number
+    },
+    thumbnail: {
+      width: Number,
+      height: Number,
+      url: String
+    }
   }],
   isEdited: {
     type: Boolean,
     default: false
   },
-  editedAt: Date
+  editedAt: Date,
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: Date
 }, {
   timestamps: true
 });
@@ -40,10 +85,21 @@ const taskSchema = new mongoose.Schema({
     trim: true,
     maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // Key of a state in the project's workflow
   status: {
     type: String,
-    enum: ['todo', 'in-progress', 'review', 'completed', 'cancelled'],
-    default: 'todo'
+    required: true,
+    trim: true
+  },
+  // Category of that state, kept in sync on save
+  statusCategory: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    default: 'not-started'
+  },
+  // Fractional rank ordering cards on the project board (see utils/ranking)
+  rank: {
+    type: String
   },
   priority: {
     type: String,
@@ -89,6 +145,27 @@ const taskSchema = new mongoose.Schema({
     min: 0,
     max: 1000
   },
+  // Relative size for sprint planning, alongside the hour estimate
+  storyPoints: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Null while the task sits in the project backlog
+  sprint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sprint',
+    default: null
+  },
+  // Recurring series this task is an occurrence of
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries',
+    default: null
+  },
+  occurrence: {
+    type: Number
+  },
   actualHours: {
     type: Number,
     min: 0,
@@ -101,12 +178,17 @@ const taskSchema = new mongoose.Schema({
     max: 100,
     default: 0
   },
+  autoProgress: {
+    type: Boolean,
+    default: false
+  },
   attachments: [{
     filename: String,
     originalName: String,
     mimetype: String,
     size: Number,
     url: String,
+    key: String,
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
@@ -114,6 +196,15 @@ const taskSchema = new mongoose.Schema({
     uploadedAt: {
       type: Date,
       default: Date.now
+    },
+    image: {
+      width: Number,
+      height: Number
+    },
+    thumbnail: {
+      width: Number,
+      height: Number,
+      url: String
     }
   }],
   comments: [commentSchema],
@@ -168,6 +259,12 @@ const taskSchema = new mongoose.Schema({
   isArchived: {
     type: Boolean,
     default: false
+  },
+  // Archived because its project was archived or deleted, so restoring the
+  // project brings it back
+  archivedWithProject: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -177,7 +274,7 @@ const taskSchema = new mongoose.Schema({
 
 // Virtual for overdue status
 taskSchema.virtual('isOverdue').get(function() {
-  if (!this.dueDate || this.status === 'completed') return false;
+  if (!this.dueDate || this.statusCategory === 'done') return false;
   return new Date() > this.dueDate;
 });
 
@@ -198,16 +295,50 @@ taskSchema.virtual('subtaskProgress').get(function() {
   return Math.round((completed / this.subtasks.length) * 100);
 });
 
+// Method to recompute actualHours from completed time tracking entries
+taskSchema.methods.recalculateActualHours = function() {
+  const totalMinutes = this.timeTracking
+    .filter(entry => entry.endTime && entry.duration)
+    .reduce((sum, entry) => sum + entry.duration, 0);
+  this.actualHours = Math.min(Math.round((totalMinutes / 60) * 100) / 100, 1000);
+  return this.actualHours;
+};
+
+// Check the status against the project's workflow and record its category.
+// Routes that already loaded the project pass its workflow in $locals.workflow.
+taskSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('status')) return;
+
+  let workflow = this.$locals.workflow;
+  if (!workflow) {
+    const project = await mongoose.model('Project').findById(this.project).select('workflow');
+    workflow = getWorkflow(project);
+  }
+
+  if (!this.status) this.status = initialStateOf(workflow);
+
+  const state = findState(workflow, this.status);
+  if (!state) {
+    this.invalidate('status', `"${this.status}" is not a state of this project's workflow`);
+    return;
+  }
+
+  this.statusCategory = state.category;
+  this.$locals.state = state;
+});
+
 // Pre-save middleware
 taskSchema.pre('save', function(next) {
-  // Set completed date when status changes to completed
-  if (this.isModified('status') && this.status === 'completed' && !this.completedAt) {
+  const state = this.$locals.state;
+
+  // Set completed date when the task enters a done state
+  if (this.isModified('status') && this.statusCategory === 'done' && !this.completedAt) {
     this.completedAt = new Date();
-    this.progress = 100;
+    if (!(state && state.cancelled)) this.progress = 100;
   }
   
-  // Reset completed date if status changes from completed
-  if (this.isModified('status') && this.status !== 'completed' && this.completedAt) {
+  // Reset completed date if the task is reopened
+  if (this.isModified('status') && this.statusCategory !== 'done' && this.completedAt) {
     this.completedAt = undefined;
   }
   
@@ -219,9 +350,13 @@ taskSchema.index({ project: 1 });
 taskSchema.index({ assignee: 1 });
 taskSchema.index({ reporter: 1 });
 taskSchema.index({ status: 1 });
+taskSchema.index({ statusCategory: 1 });
+taskSchema.index({ project: 1, status: 1, rank: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ createdAt: -1 });
 taskSchema.index({ isArchived: 1 });
+taskSchema.index({ series: 1, occurrence: 1 });
+taskSchema.index({ 'timeTracking.user': 1, 'timeTracking.endTime': 1 });
 
 module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+// A recurring task: its rule and the template each new occurrence is copied
+// from. Occurrences are ordinary tasks pointing back here through `series`.
+const taskSeriesSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: [true, 'Project is required']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rule: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly', 'yearly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      max: 365,
+      default: 1
+    },
+    // Weekdays (0 = Sunday) for weekly rules
+    byWeekday: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // Day of the month for monthly rules; -1 is the last day
+    byMonthDay: {
+      type: Number,
+      min: -1,
+      max: 31
+    },
+    until: Date,
+    count: {
+      type: Number,
+      min: 1,
+      max: 1000
+    }
+  },
+  // Date of the first occurrence; every later date is counted from it
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Create the next occurrence when the current one is done, or on its date
+  generate: {
+    type: String,
+    enum: ['on-completion', 'on-schedule'],
+    default: 'on-completion'
+  },
+  // How many days before its date a scheduled occurrence is created
+  leadDays: {
+    type: Number,
+    min: 0,
+    max: 365,
+    default: 0
+  },
+  copy: {
+    assignee: { type: Boolean, default: true },
+    labels: { type: Boolean, default: true },
+    subtasks: { type: Boolean, default: true }
+  },
+  template: {
+    title: String,
+    description: String,
+    priority: String,
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    labels: [{
+      _id: false,
+      name: String,
+      color: String
+    }],
+    subtasks: [String],
+    estimatedHours: Number,
+    storyPoints: Number
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  lastOccurrenceDate: Date,
+  // Date of the next occurrence; null once the rule has run out
+  nextOccurrenceDate: Date,
+  // When the scheduler creates the next occurrence (on-schedule series only)
+  nextRunAt: Date,
+  currentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  endedAt: Date
+}, {
+  timestamps: true
+});
+
+taskSeriesSchema.index({ project: 1 });
+taskSeriesSchema.index({ isActive: 1, generate: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('TaskSeries', taskSeriesSchema);
\ No newline at end of file
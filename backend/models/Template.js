@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { workflowSchema } = require('./workflowSchema');
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [30, 'Label cannot exceed 30 characters']
+  },
+  color: {
+    type: String,
+    default: '#9E9E9E'
+  }
+}, { _id: false });
+
+// A task as stored in a template. New tasks start in the workflow's initial
+// state; dates are kept relative to the start date the template is used with
+const templateTaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Task title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  labels: [labelSchema],
+  subtasks: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Subtask title cannot exceed 100 characters']
+  }],
+  estimatedHours: Number,
+  storyPoints: Number,
+  // Days between the start date and the due date
+  dueOffsetDays: Number
+}, { _id: false });
+
+const templateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['project', 'task'],
+    required: true
+  },
+  // Personal templates are only visible to their owner; organization
+  // templates to every member of the organization
+  visibility: {
+    type: String,
+    enum: ['personal', 'organization'],
+    default: 'personal'
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Project settings, for project templates
+  project: {
+    description: String,
+    priority: String,
+    color: String,
+    tags: [String],
+    labels: [labelSchema],
+    workflow: workflowSchema,
+    workingDays: [Number],
+    deadlineOffsetDays: Number,
+    members: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: {
+        type: String,
+        enum: ['admin', 'member', 'viewer']
+      }
+    }]
+  },
+  // Every task of a project template, or the single task of a task template
+  tasks: [templateTaskSchema],
+  usageCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+templateSchema.index({ organization: 1, visibility: 1, type: 1 });
+templateSchema.index({ owner: 1, visibility: 1, type: 1 });
+
+module.exports = mongoose.model('Template', templateSchema);
\ No newline at end of file
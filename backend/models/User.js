@@ -18,6 +18,11 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -53,9 +58,23 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  lastLogin: {
-    type: Date,
-    default: Date.now
+  // Organization the user last switched to
+  activeOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  // Set on successful logins only
+  lastLogin: Date,
+  // Consecutive failed logins since the last success or lock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Locks since the last successful login; each one doubles the lock time
+  lockCount: {
+    type: Number,
+    default: 0
   },
   preferences: {
     theme: {
@@ -67,8 +86,24 @@ const userSchema = new mongoose.Schema({
       email: { type: Boolean, default: true },
       push: { type: Boolean, default: true },
       taskUpdates: { type: Boolean, default: true },
-      projectUpdates: { type: Boolean, default: true }
+      projectUpdates: { type: Boolean, default: true },
+      digest: {
+        type: String,
+        enum: ['none', 'daily', 'weekly'],
+        default: 'none'
+      }
     }
+  },
+  lastDigestSentAt: Date,
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    // Encrypted TOTP secrets; pendingSecret holds one awaiting confirmation
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: Number,
+    enabledAt: Date
   }
 }, {
   timestamps: true,
@@ -103,6 +138,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lockCount;
+  userObject.twoFactor = {
+    enabled: !!(this.twoFactor && this.twoFactor.enabled),
+    recoveryCodesLeft: this.twoFactor && this.twoFactor.enabled ? this.twoFactor.recoveryCodes.length : 0
+  };
   return userObject;
 };
 
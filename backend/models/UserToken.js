@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Server-side record of a one-time account link (password reset, email verification)
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: [true, 'Token purpose is required']
+  },
+  // ID of the signed token; the token itself is never stored
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Address the link was sent to, so changing email invalidates it
+  email: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ user: 1, purpose: 1, usedAt: 1 });
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
\ No newline at end of file
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Every workflow state belongs to one of these; reports and reminders only
+// look at categories, never at project-specific state keys
+const STATUS_CATEGORIES = ['not-started', 'active', 'done'];
+
+// Task fields a state can require before a task may enter it
+const TRANSITION_FIELDS = ['assignee', 'dueDate', 'estimatedHours', 'storyPoints', 'description', 'labels'];
+
+const stateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'State keys can only contain lowercase letters, numbers and dashes'],
+    maxlength: [30, 'State key cannot exceed 30 characters']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [50, 'State name cannot exceed 50 characters']
+  },
+  category: {
+    type: String,
+    enum: STATUS_CATEGORIES,
+    required: true
+  },
+  color: {
+    type: String,
+    default: '#9E9E9E',
+    match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please enter a valid hex color']
+  },
+  // Done states that close a task without finishing it; they skip the
+  // blocker check and do not count towards the critical path
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
+  // States a task may move to from here; empty allows any
+  transitionsTo: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  requiredFields: [{
+    type: String,
+    enum: TRANSITION_FIELDS
+  }]
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+  states: [stateSchema],
+  // State new tasks start in
+  initialState: {
+    type: String,
+    trim: true,
+    lowercase: true
+  }
+}, { _id: false });
+
+module.exports = {
+  STATUS_CATEGORIES,
+  TRANSITION_FIELDS,
+  workflowSchema
+};
\ No newline at end of file
@@ -0,0 +1,564 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { adminAuth } = require('../middleware/auth');
+const { getProjectRole, can } = require('../middleware/permissions');
+const { revokeSessions } = require('../utils/sessions');
+const { disconnectSessions, joinProjectRoom } = require('../utils/socket');
+const { issueUserToken, revokeUserTokens } = require('../utils/userTokens');
+const { clearLoginFailures } = require('../utils/loginSecurity');
+const { queueEmail } = require('../utils/email');
+const { notifySafely } = require('../utils/notifications');
+const { recordActivity } = require('../utils/activity');
+const { addOrganizationMember } = require('../utils/organizations');
+
+const router = express.Router();
+
+const INVITE_TTL_HOURS = parseInt(process.env.INVITE_TTL_HOURS) || 72;
+
+// Random password for accounts whose owner will choose their own via email
+const randomPassword = () => crypto.randomBytes(32).toString('hex');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load the user named by :id, or answer 404
+const findTargetUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  return user;
+};
+
+// The last active admin cannot be demoted or deactivated
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return false;
+  const admins = await User.countDocuments({ role: 'admin', isActive: true });
+  return admins <= 1;
+};
+
+// Email a link for choosing a password on an account created by an admin
+const sendInvite = async (user, actor) => {
+  const ttlMinutes = INVITE_TTL_HOURS * 60;
+  const { token, expiresInMinutes } = await issueUserToken(user, 'password-reset', { ttlMinutes });
+  await queueEmail({
+    to: user.email,
+    recipient: user._id,
+    template: 'account-invite',
+    data: { user, actor, token, expiresInMinutes }
+  });
+};
+
+const signOutEverywhere = async (req, user, reason) => {
+  const revoked = await revokeSessions({ user: user._id }, reason);
+  disconnectSessions(req.io, revoked);
+  return revoked.length;
+};
+
+const accountValidators = [
+  body('username')
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Username must be between 3 and 30 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('firstName')
+    .notEmpty()
+    .trim()
+    .withMessage('First name is required'),
+  body('lastName')
+    .notEmpty()
+    .trim()
+    .withMessage('Last name is required'),
+  body('role')
+    .optional()
+    .isIn(['admin', 'manager', 'member'])
+    .withMessage('Invalid role'),
+  body('department')
+    .optional()
+    .trim()
+];
+
+// Create an account from an admin request; without a password the user is
+// invited to choose one by email
+const createAccount = async (req, res, { invite }) => {
+  const { username, email, firstName, lastName, role, department, password } = req.body;
+
+  const existingUser = await User.findOne({ $or: [{ email }, { username }] });
+  if (existingUser) {
+    return res.status(400).json({
+      message: existingUser.email === email
+        ? 'User with this email already exists'
+        : 'Username is already taken'
+    });
+  }
+
+  const user = new User({
+    username,
+    email,
+    firstName,
+    lastName,
+    role: role || 'member',
+    department: department || '',
+    password: invite ? randomPassword() : password,
+    // Admin-created accounts with a known password skip verification; invitees
+    // confirm their address by following the emailed link
+    emailVerified: !invite,
+    emailVerifiedAt: invite ? undefined : new Date()
+  });
+
+  await user.save();
+
+  if (invite) await sendInvite(user, req.user);
+
+  res.status(201).json({
+    message: invite ? 'Invitation sent successfully' : 'User created successfully',
+    user: user.getPublicProfile()
+  });
+};
+
+// @route   GET /api/admin/users
+// @desc    List users with filters and pagination
+// @access  Private (Admin)
+router.get('/users', adminAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('role').optional().isIn(['admin', 'manager', 'member']).withMessage('Invalid role'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  query('locked').optional().isBoolean().withMessage('locked must be a boolean'),
+  query('search').optional().trim(),
+  query('department').optional().trim(),
+  query('sortBy').optional().isIn(['createdAt', 'lastLogin', 'username', 'email', 'lastName']).withMessage('Invalid sort field'),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    if (req.query.department) filter.department = new RegExp(escapeRegex(req.query.department), 'i');
+    if (req.query.locked !== undefined) {
+      filter.lockUntil = req.query.locked === 'true'
+        ? { $gt: new Date() }
+        : { $not: { $gt: new Date() } };
+    }
+    if (req.query.search) {
+      const search = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [
+        { firstName: search },
+        { lastName: search },
+        { username: search },
+        { email: search }
+      ];
+    }
+
+    const sortBy = req.query.sortBy || 'createdAt';
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
+
+    const users = await User.find(filter)
+      .select('-password')
+      .sort({ [sortBy]: sortOrder })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users: users.map(user => user.getPublicProfile()),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users
+// @desc    Create a user with a password
+// @access  Private (Admin)
+router.post('/users', adminAuth, [
+  ...accountValidators,
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await createAccount(req, res, { invite: false });
+
+  } catch (error) {
+    console.error('Admin create user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/invite
+// @desc    Create a user and email them a link to choose a password
+// @access  Private (Admin)
+router.post('/users/invite', adminAuth, accountValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await createAccount(req, res, { invite: true });
+
+  } catch (error) {
+    console.error('Admin invite user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their project and open task counts
+// @access  Private (Admin)
+router.get('/users/:id', adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [ownedProjects, memberProjects, openTasks] = await Promise.all([
+      Project.countDocuments({ owner: user._id }),
+      Project.countDocuments({ 'members.user': user._id }),
+      Task.countDocuments({ assignee: user._id, statusCategory: { $ne: 'done' }, isArchived: false })
+    ]);
+
+    res.json({
+      user: user.getPublicProfile(),
+      stats: { ownedProjects, memberProjects, openTasks }
+    });
+
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change a user's global role
+// @access  Private (Admin)
+router.put('/users/:id/role', adminAuth, [
+  body('role').isIn(['admin', 'manager', 'member']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    if (req.body.role !== 'admin' && await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot demote the last active admin' });
+    }
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json({
+      message: 'Role updated successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/deactivate
+// @desc    Deactivate a user and sign them out everywhere
+// @access  Private (Admin)
+router.post('/users/:id/deactivate', adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot deactivate your own account' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is already deactivated' });
+    }
+
+    if (await isLastActiveAdmin(user)) {
+      return res.status(400).json({ message: 'Cannot deactivate the last active admin' });
+    }
+
+    user.isActive = false;
+    await user.save();
+
+    const revokedSessions = await signOutEverywhere(req, user, 'deactivated');
+
+    res.json({
+      message: 'User deactivated successfully',
+      revokedSessions,
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Admin deactivate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/reactivate
+// @desc    Reactivate a deactivated user
+// @access  Private (Admin)
+router.post('/users/:id/reactivate', adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive) {
+      return res.status(400).json({ message: 'User is already active' });
+    }
+
+    user.isActive = true;
+    clearLoginFailures(user);
+    await user.save();
+
+    res.json({
+      message: 'User reactivated successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Clear a login lockout
+// @access  Private (Admin)
+router.post('/users/:id/unlock', adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    clearLoginFailures(user);
+    await user.save();
+
+    res.json({
+      message: 'User unlocked successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Admin unlock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Invalidate a user's password and sessions and email a reset link
+// @access  Private (Admin)
+router.post('/users/:id/force-password-reset', adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is deactivated' });
+    }
+
+    user.password = randomPassword();
+    await user.save();
+
+    const revokedSessions = await signOutEverywhere(req, user, 'password-reset');
+
+    const { token, expiresInMinutes } = await issueUserToken(user, 'password-reset');
+    await queueEmail({
+      to: user.email,
+      recipient: user._id,
+      template: 'password-reset',
+      data: { user, token, expiresInMinutes, forced: true }
+    });
+
+    res.json({
+      message: 'Password reset email sent',
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/resend-invite
+// @desc    Send a new invitation email to an invited user
+// @access  Private (Admin)
+router.post('/users/:id/resend-invite', adminAuth, async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.emailVerified || user.lastLogin) {
+      return res.status(400).json({ message: 'User has already accepted the invitation' });
+    }
+
+    await revokeUserTokens(user._id, 'password-reset');
+    await sendInvite(user, req.user);
+
+    res.json({ message: 'Invitation sent successfully' });
+
+  } catch (error) {
+    console.error('Admin resend invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/admin/users/:id/transfer
+// @desc    Hand a departing user's projects and open tasks to other users
+// @access  Private (Admin)
+router.post('/users/:id/transfer', adminAuth, [
+  body('projectOwner').isMongoId().withMessage('Valid new project owner ID is required'),
+  body('taskAssignee').optional({ nullable: true }).isMongoId().withMessage('Invalid task assignee ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const newOwner = await User.findById(req.body.projectOwner);
+    const taskAssigneeId = req.body.taskAssignee === undefined ? req.body.projectOwner : req.body.taskAssignee;
+    const newAssignee = taskAssigneeId ? await User.findById(taskAssigneeId) : null;
+
+    if (!newOwner || !newOwner.isActive) {
+      return res.status(400).json({ message: 'New project owner must be an active user' });
+    }
+    if (taskAssigneeId && (!newAssignee || !newAssignee.isActive)) {
+      return res.status(400).json({ message: 'New task assignee must be an active user' });
+    }
+    if (newOwner._id.equals(user._id) || (newAssignee && newAssignee._id.equals(user._id))) {
+      return res.status(400).json({ message: 'Work must be transferred to a different user' });
+    }
+
+    // Projects: the new owner takes over; the departing owner stays on as admin
+    const projects = await Project.find({ owner: user._id });
+    for (const project of projects) {
+      project.owner = newOwner._id;
+      project.members = project.members.filter(member => !member.user.equals(newOwner._id));
+      project.members.forEach(member => {
+        if (member.user.equals(user._id)) member.role = 'admin';
+      });
+      project.members.push({ user: newOwner._id, role: 'owner', joinedAt: new Date() });
+      await project.save();
+
+      // Project owners must belong to the project's organization
+      if (project.organization) {
+        await addOrganizationMember(project.organization, newOwner._id);
+      }
+
+      await recordActivity({
+        actor: req.user._id,
+        type: 'project.updated',
+        project: project._id,
+        targetName: project.name,
+        changes: [{ field: 'owner', from: user._id.toString(), to: newOwner._id.toString() }]
+      });
+
+      joinProjectRoom(req.io, newOwner._id, project._id);
+    }
+
+    // Open tasks go to the new assignee where they can see the project,
+    // otherwise they are left unassigned
+    const tasks = await Task.find({
+      assignee: user._id,
+      statusCategory: { $ne: 'done' },
+      isArchived: false
+    }).populate('project');
+
+    let reassigned = 0;
+    let unassigned = 0;
+    for (const task of tasks) {
+      const canTakeOver = newAssignee && task.project && can(getProjectRole(task.project, newAssignee), 'view');
+
+      task.assignee = canTakeOver ? newAssignee._id : null;
+      if (canTakeOver) task.watchers.addToSet(newAssignee._id);
+      await task.save();
+
+      await recordActivity({
+        actor: req.user._id,
+        type: 'task.updated',
+        project: task.project._id,
+        task: task._id,
+        targetName: task.title,
+        changes: [{ field: 'assignee', from: user._id.toString(), to: task.assignee ? task.assignee.toString() : null }]
+      });
+
+      req.io.to(task.project._id.toString()).emit('task-updated', {
+        task,
+        projectId: task.project._id.toString()
+      });
+
+      if (canTakeOver) {
+        reassigned++;
+        notifySafely(req.io, {
+          recipients: [newAssignee._id],
+          actor: req.user._id,
+          type: 'task-assigned',
+          title: `${req.user.fullName} assigned you "${task.title}"`,
+          message: `Taken over from ${user.fullName}`,
+          task: task._id,
+          project: task.project._id
+        });
+      } else {
+        unassigned++;
+      }
+    }
+
+    res.json({
+      message: 'Work transferred successfully',
+      projectsTransferred: projects.length,
+      tasksReassigned: reassigned,
+      tasksUnassigned: unassigned
+    });
+
+  } catch (error) {
+    console.error('Admin transfer work error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
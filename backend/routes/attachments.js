@@ -0,0 +1,397 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Task = require('../models/Task');
+const { auth } = require('../middleware/auth');
+const { loadTask, can } = require('../middleware/permissions');
+const { getStorage } = require('../utils/storage');
+const { getImageSize, getThumbnailSize } = require('../utils/imageSize');
+const { emitToTask } = require('../utils/socket');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024;
+const MAX_FILES = 5;
+const DEFAULT_PROJECT_QUOTA_MB = parseInt(process.env.PROJECT_STORAGE_QUOTA_MB) || 500;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ALLOWED_TYPES = process.env.ALLOWED_UPLOAD_TYPES
+  ? process.env.ALLOWED_UPLOAD_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `File type ${file.mimetype} is not allowed`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Parse multipart uploads and turn multer errors into 400 responses
+const handleUpload = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds the ${MAX_FILE_SIZE / (1024 * 1024)}MB size limit`
+        : err.message;
+      return res.status(400).json({ message });
+    }
+    if (err) return next(err);
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+    next();
+  });
+};
+
+// Total bytes stored for task and comment attachments in a project
+const getProjectStorageUsed = async (projectId) => {
+  const result = await Task.aggregate([
+    { $match: { project: projectId } },
+    {
+      $project: {
+        bytes: {
+          $add: [
+            { $sum: '$attachments.size' },
+            {
+              $sum: {
+                $map: {
+                  input: '$comments',
+                  as: 'comment',
+                  in: { $sum: '$$comment.attachments.size' }
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$bytes' } } }
+  ]);
+
+  return result[0] ? result[0].total : 0;
+};
+
+// Reject the upload when it would push the project over its storage quota
+const checkProjectQuota = async (project, files) => {
+  const quotaMb = project.settings && project.settings.storageQuota !== undefined && project.settings.storageQuota !== null
+    ? project.settings.storageQuota
+    : DEFAULT_PROJECT_QUOTA_MB;
+  const quota = quotaMb * 1024 * 1024;
+  const used = await getProjectStorageUsed(project._id);
+  const incoming = files.reduce((sum, file) => sum + file.size, 0);
+
+  return { allowed: used + incoming <= quota, used, quota };
+};
+
+// Store uploaded files and build attachment subdocuments for them
+const storeFiles = async (files, project, userId, buildUrl) => {
+  const storage = getStorage();
+  const attachments = [];
+
+  for (const file of files) {
+    const _id = new mongoose.Types.ObjectId();
+    const saved = await storage.save(file, project._id.toString());
+    const url = buildUrl(_id);
+
+    const attachment = {
+      _id,
+      filename: saved.filename,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      url,
+      key: saved.key,
+      uploadedBy: userId,
+      uploadedAt: new Date()
+    };
+
+    if (file.mimetype.startsWith('image/')) {
+      const size = getImageSize(file.buffer);
+      if (size) {
+        attachment.image = size;
+        attachment.thumbnail = { ...getThumbnailSize(size), url };
+      }
+    }
+
+    attachments.push(attachment);
+  }
+
+  return attachments;
+};
+
+// Download header with an ASCII fallback name for older clients and the
+// exact UTF-8 name (RFC 5987) for the rest
+const contentDisposition = (name) => {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+// Stream a stored attachment back to the client
+const sendAttachment = async (res, attachment) => {
+  const storage = getStorage();
+  if (!attachment.key || !(await storage.exists(attachment.key))) {
+    return res.status(404).json({ message: 'File not found' });
+  }
+
+  res.setHeader('Content-Type', attachment.mimetype || 'application/octet-stream');
+  res.setHeader('Content-Length', attachment.size);
+  res.setHeader('Content-Disposition', contentDisposition(attachment.originalName || attachment.filename));
+
+  const stream = storage.createReadStream(attachment.key);
+  stream.on('error', (error) => {
+    console.error('Attachment stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    } else {
+      res.end();
+    }
+  });
+  stream.pipe(res);
+};
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload attachments to a task
+// @access  Private
+router.post('/:id/attachments', auth, loadTask('edit-task'), handleUpload, async (req, res) => {
+  try {
+    const task = req.task;
+
+    const quota = await checkProjectQuota(task.project, req.files);
+    if (!quota.allowed) {
+      return res.status(413).json({
+        message: 'Project storage quota exceeded',
+        used: quota.used,
+        quota: quota.quota
+      });
+    }
+
+    const attachments = await storeFiles(req.files, task.project, req.user._id, (attachmentId) =>
+      `/api/tasks/${task._id}/attachments/${attachmentId}/download`
+    );
+
+    task.attachments.push(...attachments);
+    await task.save();
+
+    const saved = task.attachments.slice(-attachments.length);
+
+    emitToTask(req.io, task, 'attachment-added', {
+      taskId: task._id,
+      attachments: saved,
+      projectId: task.project._id.toString()
+    });
+
+    res.status(201).json({
+      message: 'Attachments uploaded successfully',
+      attachments: saved
+    });
+
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId/download
+// @desc    Download a task attachment
+// @access  Private
+router.get('/:id/attachments/:attachmentId/download', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    await sendAttachment(res, attachment);
+
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Delete a task attachment
+// @access  Private
+router.delete('/:id/attachments/:attachmentId', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // The uploader can delete their own file while they can still edit tasks;
+    // owners and admins can delete any attachment
+    const isUploader = attachment.uploadedBy && attachment.uploadedBy.toString() === req.user._id.toString();
+    const canDelete = can(req.projectRole, 'edit-any-task') ||
+                      (isUploader && can(req.projectRole, 'edit-own-task'));
+
+    if (!canDelete) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { key } = attachment;
+    attachment.deleteOne();
+    await task.save();
+
+    if (key) await getStorage().remove(key);
+
+    emitToTask(req.io, task, 'attachment-deleted', {
+      taskId: task._id,
+      attachmentId: req.params.attachmentId,
+      projectId: task.project._id.toString()
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/comments/:commentId/attachments
+// @desc    Upload attachments to a comment
+// @access  Private
+router.post('/:id/comments/:commentId/attachments', auth, loadTask('comment'), handleUpload, async (req, res) => {
+  try {
+    const task = req.task;
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the comment author can add attachments' });
+    }
+
+    const quota = await checkProjectQuota(task.project, req.files);
+    if (!quota.allowed) {
+      return res.status(413).json({
+        message: 'Project storage quota exceeded',
+        used: quota.used,
+        quota: quota.quota
+      });
+    }
+
+    const attachments = await storeFiles(req.files, task.project, req.user._id, (attachmentId) =>
+      `/api/tasks/${task._id}/comments/${comment._id}/attachments/${attachmentId}/download`
+    );
+
+    comment.attachments.push(...attachments);
+    await task.save();
+
+    const saved = comment.attachments.slice(-attachments.length);
+
+    emitToTask(req.io, task, 'attachment-added', {
+      taskId: task._id,
+      commentId: comment._id,
+      attachments: saved,
+      projectId: task.project._id.toString()
+    });
+
+    res.status(201).json({
+      message: 'Attachments uploaded successfully',
+      attachments: saved
+    });
+
+  } catch (error) {
+    console.error('Upload comment attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/comments/:commentId/attachments/:attachmentId/download
+// @desc    Download a comment attachment
+// @access  Private
+router.get('/:id/comments/:commentId/attachments/:attachmentId/download', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const comment = task.comments.id(req.params.commentId);
+    const attachment = comment && comment.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    await sendAttachment(res, attachment);
+
+  } catch (error) {
+    console.error('Download comment attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId/attachments/:attachmentId
+// @desc    Delete a comment attachment
+// @access  Private
+router.delete('/:id/comments/:commentId/attachments/:attachmentId', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const comment = task.comments.id(req.params.commentId);
+    const attachment = comment && comment.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    const isAuthor = comment.author.toString() === req.user._id.toString();
+    const canDelete = can(req.projectRole, 'moderate-comments') ||
+                      (isAuthor && can(req.projectRole, 'comment'));
+
+    if (!canDelete) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { key } = attachment;
+    attachment.deleteOne();
+    await task.save();
+
+    if (key) await getStorage().remove(key);
+
+    emitToTask(req.io, task, 'attachment-deleted', {
+      taskId: task._id,
+      commentId: comment._id,
+      attachmentId: req.params.attachmentId,
+      projectId: task.project._id.toString()
+    });
+
+    res.json({ message: 'Attachment deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete comment attachment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,105 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { auth, isTwoFactorRequired, needsTwoFactorSetup } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSessions } = require('../utils/sessions');
+const { disconnectSessions } = require('../utils/socket');
+const { issueUserToken, consumeUserToken, revokeUserTokens } = require('../utils/userTokens');
+const { queueEmail } = require('../utils/email');
+const { findInviteByToken, inviteProblem, acceptInvite } = require('../utils/invites');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  encryptSecret,
+  generateRecoveryCodes
+} = require('../utils/totp');
+const { issueChallenge, readChallenge, useTotpCode, verifySecondFactor } = require('../utils/twoFactor');
+const {
+  recordLoginAttempt,
+  isIpBlocked,
+  isLocked,
+  registerFailedLogin,
+  clearLoginFailures,
+  getLoginHistory
+} = require('../utils/loginSecurity');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const rateLimitMessage = { message: 'Too many requests, please try again later' };
+
+// Endpoints that send email: per IP and address, so one inbox cannot be flooded
+const emailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => `${req.ip}:${String(req.body.email || '').toLowerCase()}`,
+  message: rateLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Endpoints that accept one-time tokens
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: rateLimitMessage,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Record a successful login and start a new session
+const signIn = async (user, req, method) => {
+  user.lastLogin = new Date();
+  clearLoginFailures(user);
+  await user.save();
+
+  await recordLoginAttempt({ user, login: user.username, req, success: true, method });
+
+  const tokens = await createSession(user, req);
+  return {
+    ...tokens,
+    user: user.getPublicProfile(),
+    twoFactorSetupRequired: needsTwoFactorSetup(user)
+  };
+};
+
+const lockedResponse = (res, lockUntil) => {
+  return res.status(423).json({
+    message: 'Account is temporarily locked after too many failed login attempts',
+    lockedUntil: lockUntil
+  });
+};
+
+// Count a failed password or 2FA code and answer accordingly
+const rejectLogin = async (res, { user, login, req, reason, message }) => {
+  const lockUntil = await registerFailedLogin(user);
+  await recordLoginAttempt({ user, login, req, success: false, reason });
+
+  if (lockUntil) return lockedResponse(res, lockUntil);
+  return res.status(400).json({ message });
+};
+
+// Wrong codes on the signed-in 2FA endpoints count towards the same lock
+// as wrong codes at login
+const rejectTwoFactorCode = async (res, user) => {
+  const lockUntil = await registerFailedLogin(user);
+  if (lockUntil) return lockedResponse(res, lockUntil);
+  return res.status(400).json({ message: 'Invalid authentication code' });
+};
+
+// Email a fresh verification link to the user's current address
+const sendVerificationEmail = async (user) => {
+  const { token, expiresInMinutes } = await issueUserToken(user, 'email-verification');
+  await queueEmail({
+    to: user.email,
+    recipient: user._id,
+    template: 'verify-email',
+    data: { user, token, expiresInMinutes }
+  });
 };
 
 // @route   POST /api/auth/register
@@ -34,7 +125,11 @@ router.post('/register', [
   body('lastName')
     .notEmpty()
     .trim()
-    .withMessage('Last name is required')
+    .withMessage('Last name is required'),
+  body('inviteToken')
+    .optional()
+    .isString()
+    .withMessage('Invite token must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -45,7 +140,20 @@ router.post('/register', [
       });
     }
 
-    const { username, email, password, firstName, lastName, department } = req.body;
+    const { username, email, password, firstName, lastName, department, inviteToken } = req.body;
+
+    // Signing up from a project invitation
+    let invite = null;
+    if (inviteToken) {
+      invite = await findInviteByToken(inviteToken);
+      const problem = inviteProblem(invite);
+      if (problem) {
+        return res.status(400).json({ message: problem });
+      }
+      if (invite.type === 'email' && invite.email !== email) {
+        return res.status(400).json({ message: 'This invitation was sent to a different email address' });
+      }
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({
@@ -70,15 +178,46 @@ router.post('/register', [
       department: department || ''
     });
 
+    // Following an emailed invitation already proves the address
+    const emailConfirmed = !!invite && invite.type === 'email';
+    if (emailConfirmed) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    let project;
+    if (invite) {
+      try {
+        ({ project } = await acceptInvite(invite, user, req.io));
+      } catch (error) {
+        // The account exists either way; only joining the project failed
+        if (error.name !== 'InviteError') throw error;
+      }
+    }
+
+    if (!emailConfirmed) {
+      await sendVerificationEmail(user);
+    }
+
+    // Accounts must be confirmed before they can sign in
+    if (requireEmailVerification() && !user.emailVerified) {
+      return res.status(201).json({
+        message: 'Registration successful, please check your email to verify your account',
+        verificationRequired: true,
+        user: user.getPublicProfile(),
+        project
+      });
+    }
+
+    const tokens = await createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
-      user: user.getPublicProfile()
+      ...tokens,
+      user: user.getPublicProfile(),
+      project
     });
 
   } catch (error) {
@@ -109,6 +248,11 @@ router.post('/login', [
 
     const { login, password } = req.body;
 
+    if (await isIpBlocked(req.ip)) {
+      await recordLoginAttempt({ login, req, success: false, reason: 'ip-blocked' });
+      return res.status(429).json({ message: 'Too many failed login attempts, please try again later' });
+    }
+
     // Find user by email or username
     const user = await User.findOne({
       $or: [
@@ -118,30 +262,46 @@ router.post('/login', [
     });
 
     if (!user) {
+      await recordLoginAttempt({ login, req, success: false, reason: 'unknown-user' });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
+    if (isLocked(user)) {
+      await recordLoginAttempt({ user, login, req, success: false, reason: 'locked' });
+      return lockedResponse(res, user.lockUntil);
+    }
+
     if (!user.isActive) {
+      await recordLoginAttempt({ user, login, req, success: false, reason: 'deactivated' });
       return res.status(400).json({ message: 'Account is deactivated' });
     }
 
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+      return rejectLogin(res, { user, login, req, reason: 'invalid-password', message: 'Invalid credentials' });
     }
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+    if (requireEmailVerification() && !user.emailVerified) {
+      await recordLoginAttempt({ user, login, req, success: false, reason: 'email-not-verified' });
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: issueChallenge(user)
+      });
+    }
 
     res.json({
       message: 'Login successful',
-      token,
-      user: user.getPublicProfile()
+      ...(await signIn(user, req, 'password'))
     });
 
   } catch (error) {
@@ -150,6 +310,66 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-step login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', tokenLimiter, [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .notEmpty()
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(readChallenge(req.body.challengeToken));
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Login challenge is no longer valid' });
+    }
+
+    if (isLocked(user)) {
+      await recordLoginAttempt({ user, login: user.username, req, success: false, reason: 'locked' });
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    const method = await verifySecondFactor(user, req.body);
+    if (!method) {
+      return rejectLogin(res, {
+        user,
+        login: user.username,
+        req,
+        reason: 'invalid-2fa-code',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const result = await signIn(user, req, method);
+
+    res.json({
+      message: 'Login successful',
+      ...result,
+      ...(method === 'recovery-code' && { recoveryCodesLeft: user.twoFactor.recoveryCodes.length })
+    });
+
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
@@ -182,7 +402,19 @@ router.put('/profile', auth, [
     .optional()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Please enter a valid email')
+    .withMessage('Please enter a valid email'),
+  body('preferences.theme')
+    .optional()
+    .isIn(['light', 'dark'])
+    .withMessage('Theme must be light or dark'),
+  body('preferences.notifications.digest')
+    .optional()
+    .isIn(['none', 'daily', 'weekly'])
+    .withMessage('Digest must be none, daily or weekly'),
+  body(['email', 'push', 'taskUpdates', 'projectUpdates'].map(key => `preferences.notifications.${key}`))
+    .optional()
+    .isBoolean()
+    .withMessage('Notification toggles must be booleans')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -207,12 +439,30 @@ router.put('/profile', auth, [
     // Update user fields
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
-    if (email) user.email = email;
+
+    // A new address has to be confirmed again
+    const emailChanged = !!email && email !== user.email;
+    if (emailChanged) {
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
     if (department !== undefined) user.department = department;
-    if (preferences) user.preferences = { ...user.preferences, ...preferences };
+    if (preferences) {
+      if (preferences.theme) user.preferences.theme = preferences.theme;
+      if (preferences.notifications) {
+        ['email', 'push', 'taskUpdates', 'projectUpdates', 'digest'].forEach(key => {
+          if (preferences.notifications[key] !== undefined) {
+            user.preferences.notifications[key] = preferences.notifications[key];
+          }
+        });
+      }
+    }
 
     await user.save();
 
+    if (emailChanged) await sendVerificationEmail(user);
+
     res.json({
       message: 'Profile updated successfully',
       user: user.getPublicProfile()
@@ -257,7 +507,19 @@ router.post('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
-    res.json({ message: 'Password changed successfully' });
+    await revokeUserTokens(user._id, 'password-reset');
+
+    // Sign out every other device; the current session stays valid
+    const revoked = await revokeSessions(
+      { user: user._id, _id: { $ne: req.sessionId } },
+      'password-changed'
+    );
+    disconnectSessions(req.io, revoked);
+
+    res.json({
+      message: 'Password changed successfully',
+      revokedSessions: revoked.length
+    });
 
   } catch (error) {
     console.error('Password change error:', error);
@@ -265,6 +527,494 @@ router.post('/change-password', auth, [
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ _id: req.sessionId }, 'logout');
+    disconnectSessions(req.io, revoked);
+
+    res.json({ message: 'Logged out successfully' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ user: req.user._id }, 'logout-all');
+    disconnectSessions(req.io, revoked);
+
+    res.json({
+      message: 'Logged out of all devices',
+      revokedSessions: revoked.length
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSessions({ _id: req.params.id, user: req.user._id }, 'revoked');
+    if (revoked.length === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    disconnectSessions(req.io, revoked);
+
+    res.json({ message: 'Session revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      const { token, expiresInMinutes } = await issueUserToken(user, 'password-reset');
+      await queueEmail({
+        to: user.email,
+        recipient: user._id,
+        template: 'password-reset',
+        data: { user, token, expiresInMinutes }
+      });
+    }
+
+    // Same answer whether or not the account exists
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', tokenLimiter, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await consumeUserToken(req.body.token, 'password-reset');
+
+    user.password = req.body.password;
+    clearLoginFailures(user);
+    // The link was delivered to this address, which confirms it
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    const revoked = await revokeSessions({ user: user._id }, 'password-reset');
+    disconnectSessions(req.io, revoked);
+
+    res.json({ message: 'Password has been reset, please log in with your new password' });
+
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', tokenLimiter, [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await consumeUserToken(req.body.token, 'email-verification');
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    if (error.name === 'AuthError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', emailLimiter, [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+    if (user && user.isActive && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({ message: 'If the address needs verifying, a new link has been sent' });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment and return an otpauth URI
+// @access  Private
+router.post('/2fa/setup', auth, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm 2FA enrolment with a first code and get recovery codes
+// @access  Private
+router.post('/2fa/confirm', tokenLimiter, auth, [
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    if (isLocked(user)) {
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    const valid = await useTotpCode(user, user.twoFactor.pendingSecret, req.body.code);
+    if (!valid) {
+      return rejectTwoFactorCode(res, user);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', tokenLimiter, auth, [
+  body('code')
+    .notEmpty()
+    .withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (isLocked(user)) {
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    const method = await verifySecondFactor(user, { code: req.body.code });
+    if (!method) {
+      return rejectTwoFactorCode(res, user);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes: codes
+    });
+
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA
+// @access  Private
+router.post('/2fa/disable', tokenLimiter, auth, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors: errors.array() 
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    if (isLocked(user)) {
+      return lockedResponse(res, user.lockUntil);
+    }
+
+    const isMatch = await user.comparePassword(req.body.password);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const method = await verifySecondFactor(user, req.body);
+    if (!method) {
+      return rejectTwoFactorCode(res, user);
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      user: user.getPublicProfile()
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Get the current user's recent login attempts
+// @access  Private
+router.get('/login-history', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await getLoginHistory(req.user._id, req.query));
+
+  } catch (error) {
+    console.error('Get login history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/auth/verify-token
 // @desc    Verify JWT token
 // @access  Private
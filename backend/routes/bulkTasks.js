@@ -0,0 +1,474 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { auth } = require('../middleware/auth');
+const { getProjectRole, can, canEditTask, canDeleteTask } = require('../middleware/permissions');
+const { STATUS_CATEGORIES } = require('../models/workflowSchema');
+const {
+  getWorkflow,
+  findState,
+  initialStateOf,
+  isGatedState,
+  checkTransition
+} = require('../utils/workflows');
+const { getOpenBlockers } = require('../utils/dependencies');
+const { wipLimitOf, nextRank } = require('../utils/board');
+const { rankAfter } = require('../utils/ranking');
+const { isMember } = require('../utils/invites');
+const { withTransaction } = require('../utils/transactions');
+const { getTaskAttachmentKeys, removeStoredFiles } = require('../utils/storage');
+const { notifySafely } = require('../utils/notifications');
+const { archiveTask } = require('../utils/archive');
+const { notifyStatusChange, advanceRecurrence } = require('../utils/taskStatus');
+const {
+  TASK_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordActivity
+} = require('../utils/activity');
+
+const router = express.Router();
+
+const MAX_BULK_TASKS = 500;
+const ACTIONS = ['update', 'delete', 'archive', 'move'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Result status of an item that went through
+const DONE_STATUS = { update: 'updated', delete: 'deleted', archive: 'archived', move: 'moved' };
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Tasks named by ID, or every task matching a filter within one project
+const findTasks = async (req) => {
+  if (req.body.taskIds) {
+    const ids = [...new Set(req.body.taskIds)];
+    const tasks = await Task.find({ _id: { $in: ids } }).populate('project');
+    const found = tasks.filter(task => task.project && !task.project.deletedAt);
+    return {
+      tasks: ids.map(id => found.find(task => task._id.toString() === id)).filter(Boolean),
+      missing: ids.filter(id => !found.some(task => task._id.toString() === id))
+    };
+  }
+
+  const { filter } = req.body;
+  const project = await Project.findOne({ _id: filter.project, deletedAt: null });
+  if (!project) return { error: { status: 404, message: 'Project not found' } };
+  if (!getProjectRole(project, req.user)) return { error: { status: 403, message: 'Access denied' } };
+
+  const query = { project: project._id, isArchived: false };
+  if (filter.status) query.status = filter.status;
+  if (filter.statusCategory) query.statusCategory = filter.statusCategory;
+  if (filter.assignee !== undefined) query.assignee = filter.assignee;
+  if (filter.priority) query.priority = filter.priority;
+  if (filter.label) query['labels.name'] = filter.label;
+
+  const tasks = await Task.find(query)
+    .sort({ rank: 1, _id: 1 })
+    .limit(MAX_BULK_TASKS + 1)
+    .populate('project');
+
+  if (tasks.length > MAX_BULK_TASKS) {
+    return { error: { status: 400, message: `The filter matches more than ${MAX_BULK_TASKS} tasks; narrow it down` } };
+  }
+
+  return { tasks, missing: [] };
+};
+
+// Tracks how full WIP-limited columns get as tasks of the batch enter them
+const createWipTracker = () => {
+  const counts = {};
+
+  return async (project, status) => {
+    const limit = wipLimitOf(project, status);
+    if (!limit) return null;
+
+    const key = `${project._id}:${status}`;
+    if (counts[key] === undefined) {
+      counts[key] = await Task.countDocuments({ project: project._id, status, isArchived: false });
+    }
+
+    if (counts[key] >= limit) {
+      const state = findState(getWorkflow(project), status);
+      return {
+        message: `${state ? state.name : status} is at its WIP limit of ${limit}`,
+        blocked: project.board.wipEnforcement === 'block'
+      };
+    }
+
+    counts[key] += 1;
+    return null;
+  };
+};
+
+// Apply the change set to a task in memory. Returns a problem that stops
+// this task, or null.
+const prepareUpdate = async (req, item, checkWip) => {
+  const { task, role } = item;
+  const changes = req.body.changes;
+  const project = task.project;
+  const workflow = getWorkflow(project);
+
+  if (changes.status !== undefined && changes.status !== task.status) {
+    const state = findState(workflow, changes.status);
+    if (!state) {
+      return { message: `"${changes.status}" is not a state of this project's workflow` };
+    }
+
+    const override = (req.body.overrideBlockers === true || req.body.overrideBlockers === 'true') && role === 'owner';
+    if (isGatedState(state) && !override) {
+      const blockers = await getOpenBlockers(task);
+      if (blockers.length > 0) {
+        return { message: 'Task is blocked by unfinished tasks', blockers };
+      }
+    }
+
+    task.status = state.key;
+    item.state = state;
+  }
+
+  if (changes.assignee !== undefined) {
+    if (changes.assignee && !isMember(project, { _id: changes.assignee })) {
+      return { message: 'Assignee is not a member of this project' };
+    }
+    task.assignee = changes.assignee || null;
+    if (task.assignee) task.watchers.addToSet(task.assignee);
+  }
+
+  if (changes.priority !== undefined) task.priority = changes.priority;
+  if (changes.dueDate !== undefined) task.dueDate = changes.dueDate || null;
+  if (changes.shiftDueDateDays && task.dueDate) {
+    task.dueDate = new Date(task.dueDate.getTime() + changes.shiftDueDateDays * DAY_MS);
+  }
+
+  const labels = changes.labels || {};
+  (labels.remove || []).forEach(name => {
+    task.labels = task.labels.filter(label => label.name !== name);
+  });
+  (labels.add || []).forEach(label => {
+    if (!task.labels.some(existing => existing.name === label.name)) {
+      task.labels.push({ name: label.name, color: label.color });
+    }
+  });
+
+  // Checked after applying the changes so required fields can be set in the
+  // same request; the WIP limit last so only tasks that go through take a slot
+  if (item.state) {
+    const problem = checkTransition(workflow, task, item.previousStatus, task.status);
+    if (problem) return problem;
+
+    const wip = await checkWip(project, item.state.key);
+    if (wip && wip.blocked) return { message: wip.message };
+    if (wip) item.warning = wip.message;
+  }
+
+  task.$locals.workflow = workflow;
+  return null;
+};
+
+// Schema problems are found before anything is written, so one bad task
+// cannot fail the request halfway through
+const validationProblem = async (task) => {
+  try {
+    await task.validate();
+    return null;
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { message: Object.values(error.errors).map(item => item.message).join(', ') };
+  }
+};
+
+// Move a task to the target project in memory, keeping its state when the
+// target workflow has it and otherwise starting over in the initial state
+const prepareMove = async (item, target, checkWip, rankState) => {
+  const { task } = item;
+  if (task.project._id.equals(target._id)) {
+    return { message: 'Task is already in this project' };
+  }
+
+  const workflow = getWorkflow(target);
+  const status = findState(workflow, task.status) ? task.status : initialStateOf(workflow);
+
+  const wip = await checkWip(target, status);
+  if (wip && wip.blocked) return { message: wip.message };
+  if (wip) item.warning = wip.message;
+
+  item.sourceProject = task.project;
+  task.project = target;
+  task.status = status;
+  task.markModified('status');
+  task.$locals.workflow = workflow;
+  // Sprints and assignees belong to the old project
+  task.sprint = null;
+  if (task.assignee && !isMember(target, { _id: task.assignee })) task.assignee = null;
+
+  rankState.rank = rankState.rank ? rankAfter(rankState.rank) : await nextRank(target._id);
+  task.rank = rankState.rank;
+  return null;
+};
+
+// @route   POST /api/tasks/bulk
+// @desc    Update, archive, delete or move many tasks at once
+// @access  Private
+router.post('/bulk', auth, [
+  body('action').isIn(ACTIONS).withMessage(`Action must be one of ${ACTIONS.join(', ')}`),
+  body('taskIds').optional().isArray({ min: 1, max: MAX_BULK_TASKS }).withMessage(`taskIds must list 1-${MAX_BULK_TASKS} task IDs`),
+  body('taskIds.*').isMongoId().withMessage('Invalid task ID'),
+  body('filter').optional().isObject().withMessage('Filter must be an object'),
+  body('filter.project').if(body('filter').exists()).isMongoId().withMessage('A filter needs a project ID'),
+  body('filter.status').optional().isString().trim(),
+  body('filter.statusCategory').optional().isIn(STATUS_CATEGORIES).withMessage('Invalid status category'),
+  body('filter.assignee').optional({ values: 'null' }).isMongoId().withMessage('Invalid assignee ID'),
+  body('filter.priority').optional().isIn(PRIORITIES),
+  body('filter.label').optional().isString().trim(),
+  body('changes').if(body('action').equals('update')).isObject().withMessage('Updates need a changes object'),
+  body('changes.status').optional().isString().trim().notEmpty().withMessage('Status cannot be empty'),
+  body('changes.assignee').optional({ values: 'null' }).isMongoId().withMessage('Invalid assignee ID'),
+  body('changes.priority').optional().isIn(PRIORITIES),
+  body('changes.dueDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid due date format'),
+  body('changes.shiftDueDateDays').optional().isInt({ min: -3650, max: 3650 }).withMessage('shiftDueDateDays must be a whole number of days'),
+  body('changes.labels.add').optional().isArray().withMessage('labels.add must be a list'),
+  body('changes.labels.add.*').isObject().withMessage('Labels to add must be objects with a name'),
+  body('changes.labels.add.*.name').isString().trim().notEmpty().isLength({ max: 30 }).withMessage('Label names must be 1-30 characters'),
+  body('changes.labels.add.*.color').optional().matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Invalid label color'),
+  body('changes.labels.remove').optional().isArray().withMessage('labels.remove must be a list'),
+  body('targetProject').if(body('action').equals('move')).isMongoId().withMessage('Moving tasks needs a targetProject'),
+  body('atomic').optional().isBoolean().withMessage('atomic must be a boolean'),
+  body('overrideBlockers').optional().isBoolean().withMessage('overrideBlockers must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action } = req.body;
+    if (!req.body.taskIds === !req.body.filter) {
+      return res.status(400).json({ message: 'Send either taskIds or a filter' });
+    }
+
+    let target = null;
+    if (action === 'move') {
+      target = await Project.findOne({ _id: req.body.targetProject, deletedAt: null });
+      if (!target) {
+        return res.status(404).json({ message: 'Target project not found' });
+      }
+      if (!can(getProjectRole(target, req.user), 'create-task')) {
+        return res.status(403).json({ message: 'You cannot create tasks in the target project' });
+      }
+    }
+
+    const { tasks, missing, error } = await findTasks(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const results = missing.map(id => ({ taskId: id, status: 'failed', message: 'Task not found' }));
+    const items = [];
+    const checkWip = createWipTracker();
+    const rankState = {};
+
+    for (const task of tasks) {
+      const role = getProjectRole(task.project, req.user);
+      const allowed = ['delete', 'move'].includes(action)
+        ? canDeleteTask(role, task, req.user)
+        : canEditTask(role, task, req.user);
+      if (!role || !allowed) {
+        results.push({ taskId: task._id, status: 'failed', message: role ? 'You do not have permission to do this' : 'Access denied' });
+        continue;
+      }
+
+      const item = { task, role, before: snapshot(task, TASK_FIELDS), previousStatus: task.status };
+      let problem = null;
+
+      if (action === 'update') {
+        problem = await prepareUpdate(req, item, checkWip);
+      } else if (action === 'move') {
+        problem = await prepareMove(item, target, checkWip, rankState);
+      } else if (action === 'archive' && !task.isArchived) {
+        archiveTask(task);
+      }
+
+      if (!problem && action !== 'delete') {
+        problem = await validationProblem(task);
+      }
+
+      if (problem) {
+        results.push({ taskId: task._id, status: 'failed', ...problem });
+      } else if (action === 'update' && diffSnapshots(item.before, snapshot(task, TASK_FIELDS)).length === 0) {
+        results.push({ taskId: task._id, status: 'skipped', message: 'Nothing to change' });
+      } else if (action === 'archive' && !task.isModified('isArchived')) {
+        results.push({ taskId: task._id, status: 'skipped', message: 'Task is already archived' });
+      } else {
+        items.push(item);
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'failed');
+    if ((req.body.atomic === true || req.body.atomic === 'true') && failed.length > 0) {
+      return res.status(400).json({
+        message: 'No tasks were changed because some of them cannot be',
+        results
+      });
+    }
+
+    // Write everything in one transaction where the database supports it
+    const deletedIds = action === 'delete' ? items.map(item => item.task._id) : [];
+    const transaction = await withTransaction(async (session) => {
+      if (action === 'delete') {
+        await Task.deleteMany({ _id: { $in: deletedIds } }, { session });
+        await Task.updateMany(
+          { 'dependencies.task': { $in: deletedIds } },
+          { $pull: { dependencies: { task: { $in: deletedIds } } } },
+          { session }
+        );
+        return;
+      }
+
+      for (const item of items) {
+        // A failed write aborts a transaction, so only catch it without one
+        if (session) {
+          await item.task.save({ session });
+          continue;
+        }
+        try {
+          await item.task.save();
+        } catch (error) {
+          console.error('Bulk task save error:', error);
+          item.saveError = error;
+        }
+      }
+    });
+
+    // Without a transaction, tasks that failed to save are reported on their own
+    items.filter(item => item.saveError).forEach(item => {
+      results.push({ taskId: item.task._id, status: 'failed', message: 'Task could not be saved' });
+    });
+    const written = items.filter(item => !item.saveError);
+
+    if (action === 'delete') {
+      await removeStoredFiles(written.flatMap(item => getTaskAttachmentKeys(item.task)));
+    }
+
+    // Activity entries, one batched event per project and assignment notices
+    const events = {};
+    const eventFor = (projectId) => {
+      const key = idOf(projectId);
+      events[key] = events[key] || { updated: [], removed: [] };
+      return events[key];
+    };
+    const newAssignments = {};
+
+    for (const item of written) {
+      const { task } = item;
+      results.push({ taskId: task._id, status: DONE_STATUS[action], warning: item.warning });
+
+      if (action === 'delete') {
+        await recordActivity({
+          actor: req.user._id,
+          type: 'task.deleted',
+          project: task.project._id,
+          task: task._id,
+          targetName: task.title,
+          data: { ...item.before, bulk: true }
+        });
+        eventFor(task.project._id).removed.push(task._id);
+        await advanceRecurrence(req, task);
+        continue;
+      }
+
+      const changes = action === 'archive'
+        ? []
+        : diffSnapshots(item.before, snapshot(task, TASK_FIELDS));
+      if (action === 'move') {
+        changes.unshift({ field: 'project', from: item.sourceProject._id, to: target._id });
+      }
+
+      const projects = action === 'move' ? [item.sourceProject._id, target._id] : [task.project._id];
+      for (const projectId of projects) {
+        await recordActivity({
+          actor: req.user._id,
+          type: action === 'archive' ? 'task.archived' : 'task.updated',
+          project: projectId,
+          task: task._id,
+          targetName: task.title,
+          changes,
+          data: { bulk: true }
+        });
+      }
+
+      if (action === 'archive') {
+        eventFor(task.project._id).removed.push(task._id);
+        await advanceRecurrence(req, task);
+      } else if (action === 'move') {
+        eventFor(item.sourceProject._id).removed.push(task._id);
+        eventFor(target._id).updated.push(task._id);
+      } else {
+        eventFor(task.project._id).updated.push(task._id);
+      }
+
+      // Same follow-ups as a single status change
+      if (item.state) {
+        notifyStatusChange(req, task, item.previousStatus, item.state);
+        if (task.statusCategory === 'done') await advanceRecurrence(req, task);
+      }
+
+      const assignee = task.assignee ? task.assignee.toString() : null;
+      if (action === 'update' && assignee && assignee !== (item.before.assignee && item.before.assignee.toString())) {
+        newAssignments[assignee] = newAssignments[assignee] || [];
+        newAssignments[assignee].push(task);
+      }
+    }
+
+    for (const [projectId, event] of Object.entries(events)) {
+      const updatedTasks = event.updated.length > 0
+        ? await Task.find({ _id: { $in: event.updated } })
+          .populate('assignee', 'firstName lastName username avatar')
+          .populate('reporter', 'firstName lastName username avatar')
+          .populate('project', 'name color')
+        : [];
+
+      req.io.to(projectId).emit('tasks-bulk-updated', {
+        projectId,
+        action,
+        tasks: updatedTasks,
+        removedTaskIds: event.removed,
+        actor: req.user._id
+      });
+    }
+
+    Object.entries(newAssignments).forEach(([userId, assigned]) => {
+      notifySafely(req.io, {
+        recipients: [userId],
+        actor: req.user._id,
+        type: 'task-assigned',
+        title: assigned.length === 1
+          ? `${req.user.fullName} assigned you "${assigned[0].title}"`
+          : `${req.user.fullName} assigned you ${assigned.length} tasks`,
+        task: assigned.length === 1 ? assigned[0]._id : undefined,
+        project: assigned[0].project._id,
+        data: { taskIds: assigned.map(task => task._id) }
+      });
+    });
+
+    res.json({
+      message: `${written.length} of ${results.length} tasks ${DONE_STATUS[action]}`,
+      action,
+      transaction,
+      summary: {
+        requested: results.length,
+        succeeded: written.length,
+        skipped: results.filter(result => result.status === 'skipped').length,
+        failed: results.filter(result => result.status === 'failed').length
+      },
+      results
+    });
+
+  } catch (error) {
+    console.error('Bulk task operation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,118 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { findInviteByToken, inviteProblem, acceptInvite } = require('../utils/invites');
+
+const router = express.Router();
+
+// Invite tokens are guessable only by brute force; keep it that way
+const inviteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: { message: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+router.use(inviteLimiter);
+
+// @route   GET /api/invites/:token
+// @desc    Preview an invitation before accepting it
+// @access  Public
+router.get('/:token', async (req, res) => {
+  try {
+    const invite = await findInviteByToken(req.params.token);
+
+    const problem = inviteProblem(invite);
+    if (problem) {
+      return res.status(invite && invite.project && !invite.project.deletedAt ? 400 : 404).json({ message: problem });
+    }
+
+    const { project, invitedBy } = invite;
+
+    res.json({
+      type: invite.type,
+      role: invite.role,
+      email: invite.email,
+      expiresAt: invite.expiresAt,
+      project: {
+        _id: project._id,
+        name: project.name,
+        description: project.description,
+        color: project.color
+      },
+      invitedBy: invitedBy ? `${invitedBy.firstName} ${invitedBy.lastName}` : null,
+      // Lets the client choose between signing in and signing up
+      accountExists: invite.type === 'email'
+        ? !!(await User.exists({ email: invite.email }))
+        : undefined
+    });
+
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invites/:token/accept
+// @desc    Join the project of an invitation
+// @access  Private
+router.post('/:token/accept', auth, async (req, res) => {
+  try {
+    const invite = await findInviteByToken(req.params.token);
+    if (!invite || !invite.project) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    const { project, alreadyMember } = await acceptInvite(invite, req.user, req.io);
+
+    await project.populate('members.user', 'firstName lastName username avatar');
+
+    res.json({
+      message: alreadyMember
+        ? 'You are already a member of this project'
+        : 'Invitation accepted successfully',
+      alreadyMember,
+      project
+    });
+
+  } catch (error) {
+    if (error.name === 'InviteError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Accept invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invites/:token/decline
+// @desc    Decline an emailed invitation
+// @access  Public
+router.post('/:token/decline', async (req, res) => {
+  try {
+    const invite = await findInviteByToken(req.params.token);
+
+    const problem = inviteProblem(invite);
+    if (problem) {
+      return res.status(invite && invite.project && !invite.project.deletedAt ? 400 : 404).json({ message: problem });
+    }
+
+    // Shared links are meant for many people; only their creator can revoke them
+    if (invite.type !== 'email') {
+      return res.status(400).json({ message: 'Invite links cannot be declined' });
+    }
+
+    invite.status = 'declined';
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    res.json({ message: 'Invitation declined' });
+
+  } catch (error) {
+    console.error('Decline invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
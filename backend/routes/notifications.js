@@ -0,0 +1,122 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get current user's notifications
+// @access  Private
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unread').optional().isBoolean().withMessage('Unread must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.isRead = false;
+
+    const notifications = await Notification.find(filter)
+      .populate('actor', 'firstName lastName username avatar')
+      .populate('task', 'title')
+      .populate('project', 'name color')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Notification.countDocuments(filter);
+
+    res.json({
+      notifications,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+    res.json({ count });
+
+  } catch (error) {
+    console.error('Unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, isRead: false },
+      { isRead: true, readAt: new Date() }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Mark all read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = mongoose.isValidObjectId(req.params.id)
+      ? await Notification.findOne({ _id: req.params.id, recipient: req.user._id })
+      : null;
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification
+    });
+
+  } catch (error) {
+    console.error('Mark read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,386 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const {
+  loadOrganization,
+  getOrganizationRole,
+  canInOrganization
+} = require('../middleware/permissions');
+const { uniqueSlug, addOrganizationMember, ensurePersonalOrganization } = require('../utils/organizations');
+const { leaveProjectRoom } = require('../utils/socket');
+const { normalizeWorkflow, validateWorkflow } = require('../utils/workflows');
+const { purgeProject } = require('../utils/archive');
+
+const router = express.Router();
+
+const isWorkingDays = (days) => {
+  return Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+};
+
+const populateOrganization = (id) => {
+  return Organization.findById(id)
+    .populate('owner', 'firstName lastName username avatar')
+    .populate('members.user', 'firstName lastName username email avatar');
+};
+
+// @route   GET /api/organizations
+// @desc    Get the organizations the user belongs to
+// @access  Private
+// Not scoped with resolveOrganization, so clients holding a stale
+// X-Organization-Id can still load the list and pick a valid one
+router.get('/', auth, async (req, res) => {
+  try {
+    const personal = await ensurePersonalOrganization(req.user);
+    const organizations = await Organization.find({ 'members.user': req.user._id })
+      .populate('owner', 'firstName lastName username avatar')
+      .sort({ isPersonal: -1, name: 1 });
+
+    // Same choice as resolveOrganization, skipping organizations the user left
+    const ids = organizations.map(organization => organization._id.toString());
+    const currentId = [req.get('X-Organization-Id'), req.user.activeOrganization && req.user.activeOrganization.toString()]
+      .find(id => id && ids.includes(id)) || personal._id.toString();
+
+    res.json(organizations.map(organization => ({
+      ...organization.toJSON(),
+      role: getOrganizationRole(organization, req.user),
+      isCurrent: organization._id.toString() === currentId
+    })));
+
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations
+// @desc    Create an organization owned by the current user
+// @access  Private
+router.post('/', auth, [
+  body('name').notEmpty().trim().withMessage('Organization name is required'),
+  body('slug').optional().trim().toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and dashes'),
+  body('description').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, slug, description } = req.body;
+
+    if (slug && await Organization.exists({ slug })) {
+      return res.status(400).json({ message: 'Slug is already taken' });
+    }
+
+    const organization = await Organization.create({
+      name,
+      slug: slug || await uniqueSlug(name),
+      description: description || '',
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization: await populateOrganization(organization._id)
+    });
+
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id
+// @desc    Get an organization with its members
+// @access  Private
+router.get('/:id', auth, loadOrganization('view-organization'), async (req, res) => {
+  try {
+    const organization = await populateOrganization(req.organization._id);
+    const projectCount = await Project.countDocuments({ organization: organization._id, deletedAt: null });
+
+    res.json({
+      ...organization.toJSON(),
+      role: req.organizationRole,
+      projectCount
+    });
+
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id
+// @desc    Update organization details and project defaults
+// @access  Private
+router.put('/:id', auth, loadOrganization('manage-organization'), [
+  body('name').optional().notEmpty().trim().withMessage('Organization name cannot be empty'),
+  body('slug').optional().trim().toLowerCase()
+    .matches(/^[a-z0-9]+(-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and dashes'),
+  body('description').optional().trim(),
+  body('defaults.labels').optional().isArray().withMessage('Labels must be an array'),
+  body('defaults.labels.*.name').trim().isLength({ min: 1, max: 30 }).withMessage('Label names must be 1 to 30 characters'),
+  body('defaults.labels.*.color').optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/).withMessage('Label color must be a hex color'),
+  body('defaults.workingDays').optional()
+    .custom(isWorkingDays).withMessage('Working days must be numbers from 0 (Sunday) to 6 (Saturday)'),
+  body('defaults.workflow').optional({ values: 'null' }).isObject().withMessage('Workflow must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = req.organization;
+    const { name, slug, description, defaults = {} } = req.body;
+
+    if (slug && slug !== organization.slug && await Organization.exists({ slug })) {
+      return res.status(400).json({ message: 'Slug is already taken' });
+    }
+
+    // Workflow new projects start with; null goes back to the built-in one
+    const workflow = defaults.workflow ? normalizeWorkflow(defaults.workflow) : defaults.workflow;
+    if (workflow) {
+      const problems = validateWorkflow(workflow);
+      if (problems.length > 0) {
+        return res.status(400).json({ message: 'Invalid workflow', errors: problems });
+      }
+    }
+
+    if (name !== undefined) organization.name = name;
+    if (slug !== undefined) organization.slug = slug;
+    if (description !== undefined) organization.description = description;
+    if (defaults.labels !== undefined) {
+      organization.defaults.labels = defaults.labels.map(({ name, color }) => ({ name, color }));
+    }
+    if (defaults.workingDays !== undefined) {
+      organization.defaults.workingDays = [...new Set(defaults.workingDays)].sort((a, b) => a - b);
+    }
+    if (workflow !== undefined) {
+      organization.defaults.workflow = workflow || undefined;
+    }
+
+    await organization.save();
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: await populateOrganization(organization._id)
+    });
+
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id
+// @desc    Delete an organization that has no projects
+// @access  Private
+router.delete('/:id', auth, loadOrganization('delete-organization'), async (req, res) => {
+  try {
+    const organization = req.organization;
+
+    if (organization.isPersonal) {
+      return res.status(400).json({ message: 'Personal organizations cannot be deleted' });
+    }
+
+    if (await Project.exists({ organization: organization._id, deletedAt: null })) {
+      return res.status(400).json({ message: 'Move or delete the organization\'s projects first' });
+    }
+
+    // Projects still in the trash go with the organization
+    const trashed = await Project.find({ organization: organization._id });
+    for (const project of trashed) {
+      await purgeProject(project);
+    }
+
+    await Organization.findByIdAndDelete(organization._id);
+    await User.updateMany(
+      { activeOrganization: organization._id },
+      { $unset: { activeOrganization: 1 } }
+    );
+
+    res.json({ message: 'Organization deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/switch
+// @desc    Make an organization the user's active one
+// @access  Private
+router.post('/:id/switch', auth, loadOrganization('view-organization'), async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { activeOrganization: req.organization._id });
+
+    res.json({
+      message: 'Organization switched successfully',
+      organization: await populateOrganization(req.organization._id)
+    });
+
+  } catch (error) {
+    console.error('Switch organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/members
+// @desc    Add a user to the organization
+// @access  Private
+router.post('/:id/members', auth, loadOrganization('manage-organization-members'), [
+  body('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('role').optional().isIn(['admin', 'member']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, role = 'member' } = req.body;
+    const organization = req.organization;
+
+    // Only owners can hand out admin rights
+    if (role === 'admin' && req.organizationRole !== 'owner') {
+      return res.status(403).json({ message: 'Only organization owners can add admins' });
+    }
+
+    const user = await User.findById(userId).select('isActive');
+    if (!user || !user.isActive) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await addOrganizationMember(organization._id, userId, role);
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ message: 'User is already a member of this organization' });
+    }
+
+    res.json({
+      message: 'Member added successfully',
+      organization: await populateOrganization(organization._id)
+    });
+
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Change a member's organization role
+// @access  Private
+router.put('/:id/members/:userId', auth, loadOrganization('manage-organization-members'), [
+  body('role').isIn(['admin', 'member']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = req.organization;
+    const member = organization.members.find(item => item.user.toString() === req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'Cannot change the organization owner\'s role' });
+    }
+
+    // Only owners can grant or take away admin rights
+    if ((member.role === 'admin' || req.body.role === 'admin') && req.organizationRole !== 'owner') {
+      return res.status(403).json({ message: 'Only organization owners can change admins' });
+    }
+
+    member.role = req.body.role;
+    await organization.save();
+
+    res.json({
+      message: 'Member role updated successfully',
+      organization: await populateOrganization(organization._id)
+    });
+
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member (or leave) and take them off the organization's projects
+// @access  Private
+router.delete('/:id/members/:userId', auth, loadOrganization('view-organization'), async (req, res) => {
+  try {
+    const organization = req.organization;
+    const { userId } = req.params;
+    const leaving = userId === req.user._id.toString();
+
+    if (!leaving && !canInOrganization(req.organizationRole, 'manage-organization-members')) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+
+    const member = organization.members.find(item => item.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'Cannot remove the organization owner' });
+    }
+
+    // Only owners can remove admins
+    if (!leaving && member.role === 'admin' && req.organizationRole !== 'owner') {
+      return res.status(403).json({ message: 'Only organization owners can remove admins' });
+    }
+
+    if (await Project.exists({ organization: organization._id, owner: userId })) {
+      return res.status(400).json({ message: 'Transfer the projects this user owns first' });
+    }
+
+    organization.members = organization.members.filter(item => item.user.toString() !== userId);
+    await organization.save();
+
+    // Leaving the organization also means leaving all of its projects
+    const projects = await Project.find({ organization: organization._id, 'members.user': userId }).select('_id');
+    const projectIds = projects.map(project => project._id);
+
+    await Project.updateMany(
+      { _id: { $in: projectIds } },
+      { $pull: { members: { user: userId } } }
+    );
+    await Task.updateMany(
+      { project: { $in: projectIds } },
+      { $pull: { watchers: userId } }
+    );
+
+    for (const projectId of projectIds) {
+      req.io.to(projectId.toString()).emit('member-removed', {
+        projectId: projectId.toString(),
+        userId
+      });
+      await leaveProjectRoom(req.io, userId, projectId);
+    }
+
+    res.json({
+      message: leaving ? 'You left the organization' : 'Member removed successfully',
+      left: leaving,
+      removedFromProjects: projectIds.length
+    });
+
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
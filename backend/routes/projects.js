@@ -1,22 +1,67 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Project = require('../models/Project');
 const Task = require('../models/Task');
 const { auth } = require('../middleware/auth');
+const { loadProject, resolveOrganization, canInOrganization } = require('../middleware/permissions');
+const { buildDependencyGraph } = require('../utils/dependencies');
+const { joinProjectRoom, leaveProjectRoom } = require('../utils/socket');
+const { notifySafely } = require('../utils/notifications');
+const Activity = require('../models/Activity');
+const ProjectInvite = require('../models/ProjectInvite');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Sprint = require('../models/Sprint');
+const Template = require('../models/Template');
+const {
+  getWorkflow,
+  cloneWorkflow,
+  normalizeWorkflow,
+  validateWorkflow
+} = require('../utils/workflows');
+const { wipLimitOf } = require('../utils/board');
+const { getSprintTasks, buildBurndown, getVelocity } = require('../utils/sprints');
+const { assignToken, inviteLink, sendInviteEmail, isMember } = require('../utils/invites');
+const { isOrganizationMember } = require('../utils/organizations');
+const { shiftDate, canUseTemplate, createTemplateTasks } = require('../utils/templates');
+const {
+  escapeRegex,
+  purgeDateOf,
+  archiveProject,
+  unarchiveProject,
+  trashProject,
+  restoreProject,
+  purgeProject
+} = require('../utils/archive');
+const {
+  PROJECT_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordActivity,
+  buildActivityFilter
+} = require('../utils/activity');
 
 const router = express.Router();
 
+// Projects in the active organization the user owns or belongs to
+const userProjectFilter = (req) => ({
+  organization: req.organization._id,
+  $or: [
+    { owner: req.user._id },
+    { 'members.user': req.user._id }
+  ]
+});
+
 // @route   GET /api/projects
-// @desc    Get user's projects
+// @desc    Get user's projects in the active organization
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, resolveOrganization, async (req, res) => {
   try {
     const projects = await Project.find({
-      $or: [
-        { owner: req.user._id },
-        { 'members.user': req.user._id }
-      ],
-      isArchived: false
+      ...userProjectFilter(req),
+      isArchived: false,
+      deletedAt: null
     })
     .populate('owner', 'firstName lastName username avatar')
     .populate('members.user', 'firstName lastName username avatar')
@@ -31,29 +76,69 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/projects/archived
+// @desc    Get user's archived projects in the active organization
+// @access  Private
+router.get('/archived', auth, resolveOrganization, [
+  query('search').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { ...userProjectFilter(req), isArchived: true, deletedAt: null };
+    if (req.query.search) {
+      const search = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$and = [{ $or: [{ name: search }, { description: search }, { tags: search }] }];
+    }
+
+    const projects = await Project.find(filter)
+      .populate('owner', 'firstName lastName username avatar')
+      .populate('taskCount')
+      .sort({ archivedAt: -1 });
+
+    res.json(projects);
+
+  } catch (error) {
+    console.error('Get archived projects error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/projects/trash
+// @desc    Get user's deleted projects in the active organization with their purge dates
+// @access  Private
+router.get('/trash', auth, resolveOrganization, async (req, res) => {
+  try {
+    const projects = await Project.find({ ...userProjectFilter(req), deletedAt: { $ne: null } })
+      .populate('owner', 'firstName lastName username avatar')
+      .populate('deletedBy', 'firstName lastName username avatar')
+      .sort({ deletedAt: -1 });
+
+    res.json(projects.map(project => ({
+      ...project.toJSON(),
+      purgeAt: purgeDateOf(project)
+    })));
+
+  } catch (error) {
+    console.error('Get project trash error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/projects/:id
 // @desc    Get single project
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, loadProject('view'), async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id)
+    const project = await Project.findById(req.project._id)
       .populate('owner', 'firstName lastName username avatar')
       .populate('members.user', 'firstName lastName username avatar')
       .populate('taskCount')
       .populate('completedTaskCount');
 
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    // Check access
-    const hasAccess = project.owner._id.toString() === req.user._id.toString() ||
-                     project.members.some(member => member.user._id.toString() === req.user._id.toString());
-
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     res.json(project);
 
   } catch (error) {
@@ -63,13 +148,15 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   POST /api/projects
-// @desc    Create new project
+// @desc    Create new project in the active organization, optionally from a template
 // @access  Private
-router.post('/', auth, [
+router.post('/', auth, resolveOrganization, [
   body('name').notEmpty().trim().withMessage('Project name is required'),
   body('description').optional().trim(),
   body('deadline').optional().isISO8601().withMessage('Invalid deadline format'),
-  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent'])
+  body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  body('templateId').optional().isMongoId().withMessage('Invalid template ID'),
+  body('startDate').optional().isISO8601().withMessage('Invalid start date format')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -77,20 +164,82 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, description, deadline, priority, color, tags } = req.body;
+    if (!canInOrganization(req.organizationRole, 'create-project')) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+
+    const { name, description, deadline, priority, color, tags, templateId } = req.body;
+    const { defaults } = req.organization;
+
+    const template = templateId ? await Template.findOne({ _id: templateId, type: 'project' }) : null;
+    if (templateId && (!template || !canUseTemplate(template, req.user, req.organization._id))) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    // Template settings take the place of the organization defaults; the
+    // start date shifts every relative date in the template
+    const settings = template ? template.project : null;
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+
+    // Template members keep their roles if they belong to this organization
+    const members = settings
+      ? settings.members
+        .filter(member => !member.user.equals(req.user._id) && isOrganizationMember(req.organization, { _id: member.user }))
+        .map(member => ({ user: member.user, role: member.role, joinedAt: new Date() }))
+      : [];
 
     const project = new Project({
       name,
-      description: description || '',
-      deadline: deadline || null,
-      priority: priority || 'medium',
-      color: color || '#2196F3',
-      tags: tags || [],
-      owner: req.user._id
+      description: description || (settings && settings.description) || '',
+      deadline: deadline || (settings ? shiftDate(startDate, settings.deadlineOffsetDays) : null),
+      priority: priority || (settings && settings.priority) || 'medium',
+      color: color || (settings && settings.color) || '#2196F3',
+      tags: tags || (settings ? settings.tags : []),
+      startDate,
+      organization: req.organization._id,
+      owner: req.user._id,
+      members,
+      labels: (settings || defaults).labels.map(({ name, color }) => ({ name, color })),
+      workflow: cloneWorkflow(getWorkflow(settings || defaults)),
+      settings: {
+        workingDays: settings && settings.workingDays.length > 0 ? settings.workingDays : defaults.workingDays
+      }
     });
 
     await project.save();
 
+    const tasks = template ? await createTemplateTasks(template, project, startDate, req.user) : [];
+    if (template) {
+      await Template.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+    }
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'project.created',
+      project: project._id,
+      targetName: project.name,
+      data: {
+        ...snapshot(project, PROJECT_FIELDS),
+        template: template ? { _id: template._id, name: template.name, taskCount: tasks.length } : undefined
+      }
+    });
+
+    // Subscribe the owner's open sockets to the new project room
+    joinProjectRoom(req.io, req.user._id, project._id);
+
+    members.forEach(member => {
+      joinProjectRoom(req.io, member.user, project._id);
+      notifySafely(req.io, {
+        recipients: [member.user],
+        actor: req.user._id,
+        type: 'member-added',
+        title: `${req.user.fullName} added you to "${project.name}"`,
+        message: `You joined as ${member.role}`,
+        project: project._id,
+        data: { role: member.role }
+      });
+    });
+
     const populatedProject = await Project.findById(project._id)
       .populate('owner', 'firstName lastName username avatar')
       .populate('members.user', 'firstName lastName username avatar');
@@ -109,11 +258,14 @@ router.post('/', auth, [
 // @route   PUT /api/projects/:id
 // @desc    Update project
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, loadProject('manage-project'), [
   body('name').optional().notEmpty().trim().withMessage('Project name cannot be empty'),
   body('deadline').optional().isISO8601().withMessage('Invalid deadline format'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  body('status').optional().isIn(['planning', 'active', 'on-hold', 'completed', 'cancelled'])
+  body('status').optional().isIn(['planning', 'active', 'on-hold', 'completed', 'cancelled']),
+  body('settings.autoArchive').optional().isBoolean().withMessage('autoArchive must be a boolean'),
+  body('settings.autoArchiveDays').optional({ values: 'null' }).isInt({ min: 1, max: 365 })
+    .withMessage('autoArchiveDays must be between 1 and 365')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -121,20 +273,9 @@ router.put('/:id', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
+    const project = req.project;
 
-    // Check if user is owner or admin member
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isAdmin = project.members.some(member => 
-      member.user.toString() === req.user._id.toString() && member.role === 'admin'
-    );
-
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const before = snapshot(project, PROJECT_FIELDS);
 
     const updateFields = ['name', 'description', 'status', 'priority', 'deadline', 'color', 'tags', 'progress'];
     updateFields.forEach(field => {
@@ -143,8 +284,26 @@ router.put('/:id', auth, [
       }
     });
 
+    const settings = req.body.settings || {};
+    ['autoArchive', 'autoArchiveDays'].forEach(field => {
+      if (settings[field] !== undefined) {
+        project.set(`settings.${field}`, settings[field]);
+      }
+    });
+
     await project.save();
 
+    const changes = diffSnapshots(before, snapshot(project, PROJECT_FIELDS));
+    if (changes.length > 0) {
+      await recordActivity({
+        actor: req.user._id,
+        type: 'project.updated',
+        project: project._id,
+        targetName: project.name,
+        changes
+      });
+    }
+
     const updatedProject = await Project.findById(project._id)
       .populate('owner', 'firstName lastName username avatar')
       .populate('members.user', 'firstName lastName username avatar');
@@ -161,30 +320,163 @@ router.put('/:id', auth, [
 });
 
 // @route   DELETE /api/projects/:id
-// @desc    Delete project
+// @desc    Move a project to the trash; it is purged after the retention period
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, loadProject('delete-project'), async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    const project = req.project;
+
+    const taskCount = await trashProject(project, req.user);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'project.deleted',
+      project: project._id,
+      targetName: project.name,
+      data: { taskCount, trashed: true }
+    });
+
+    req.io.to(project._id.toString()).emit('project-deleted', { projectId: project._id.toString(), trashed: true });
+    req.io.in(project._id.toString()).socketsLeave(project._id.toString());
+
+    res.json({
+      message: 'Project moved to the trash',
+      purgeAt: purgeDateOf(project)
+    });
+
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/restore
+// @desc    Restore a project from the trash
+// @access  Private
+router.post('/:id/restore', auth, loadProject('delete-project', { trashed: true }), async (req, res) => {
+  try {
+    const project = req.project;
+
+    await restoreProject(project);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'project.restored',
+      project: project._id,
+      targetName: project.name
+    });
+
+    project.members.forEach(member => joinProjectRoom(req.io, member.user, project._id));
+    req.io.to(project._id.toString()).emit('project-restored', { projectId: project._id.toString() });
+
+    const restoredProject = await Project.findById(project._id)
+      .populate('owner', 'firstName lastName username avatar')
+      .populate('members.user', 'firstName lastName username avatar');
+
+    res.json({
+      message: 'Project restored successfully',
+      project: restoredProject
+    });
+
+  } catch (error) {
+    console.error('Restore project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id/permanent
+// @desc    Permanently delete a project in the trash with all its tasks
+// @access  Private
+router.delete('/:id/permanent', auth, loadProject('delete-project', { trashed: true }), async (req, res) => {
+  try {
+    const project = req.project;
+
+    const taskCount = await purgeProject(project);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'project.deleted',
+      project: project._id,
+      targetName: project.name,
+      data: { taskCount, permanent: true }
+    });
+
+    res.json({ message: 'Project and all associated tasks deleted permanently' });
+
+  } catch (error) {
+    console.error('Purge project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/archive
+// @desc    Archive a project along with its tasks
+// @access  Private
+router.post('/:id/archive', auth, loadProject('manage-project'), async (req, res) => {
+  try {
+    const project = req.project;
+    if (project.isArchived) {
+      return res.status(400).json({ message: 'Project is already archived' });
     }
 
-    // Only owner can delete project
-    if (project.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Only project owner can delete the project' });
+    const taskCount = await archiveProject(project);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'project.archived',
+      project: project._id,
+      targetName: project.name,
+      data: { taskCount }
+    });
+
+    req.io.to(project._id.toString()).emit('project-archived', {
+      projectId: project._id.toString(),
+      isArchived: true
+    });
+
+    res.json({
+      message: 'Project archived successfully',
+      project
+    });
+
+  } catch (error) {
+    console.error('Archive project error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/unarchive
+// @desc    Unarchive a project and the tasks archived with it
+// @access  Private
+router.post('/:id/unarchive', auth, loadProject('manage-project'), async (req, res) => {
+  try {
+    const project = req.project;
+    if (!project.isArchived) {
+      return res.status(400).json({ message: 'Project is not archived' });
     }
 
-    // Delete all tasks in the project
-    await Task.deleteMany({ project: req.params.id });
+    const taskCount = await unarchiveProject(project);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'project.unarchived',
+      project: project._id,
+      targetName: project.name,
+      data: { taskCount }
+    });
 
-    // Delete the project
-    await Project.findByIdAndDelete(req.params.id);
+    req.io.to(project._id.toString()).emit('project-archived', {
+      projectId: project._id.toString(),
+      isArchived: false
+    });
 
-    res.json({ message: 'Project and all associated tasks deleted successfully' });
+    res.json({
+      message: 'Project unarchived successfully',
+      project
+    });
 
   } catch (error) {
-    console.error('Delete project error:', error);
+    console.error('Unarchive project error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -192,7 +484,7 @@ router.delete('/:id', auth, async (req, res) => {
 // @route   POST /api/projects/:id/members
 // @desc    Add member to project
 // @access  Private
-router.post('/:id/members', auth, [
+router.post('/:id/members', auth, loadProject('manage-members'), [
   body('userId').isMongoId().withMessage('Valid user ID is required'),
   body('role').optional().isIn(['admin', 'member', 'viewer']).withMessage('Invalid role')
 ], async (req, res) => {
@@ -203,20 +495,11 @@ router.post('/:id/members', auth, [
     }
 
     const { userId, role = 'member' } = req.body;
-    const project = await Project.findById(req.params.id);
-
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
-    }
-
-    // Check if user is owner or admin
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isAdmin = project.members.some(member => 
-      member.user.toString() === req.user._id.toString() && member.role === 'admin'
-    );
+    const project = req.project;
 
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
+    // Only owners can hand out admin rights
+    if (role === 'admin' && req.projectRole !== 'owner') {
+      return res.status(403).json({ message: 'Only project owners can add admins' });
     }
 
     // Check if user is already a member
@@ -228,6 +511,11 @@ router.post('/:id/members', auth, [
       return res.status(400).json({ message: 'User is already a member of this project' });
     }
 
+    // Project members must belong to the project's organization
+    if (project.organization && !await Organization.exists({ _id: project.organization, 'members.user': userId })) {
+      return res.status(400).json({ message: 'User is not a member of this organization' });
+    }
+
     project.members.push({
       user: userId,
       role,
@@ -236,9 +524,35 @@ router.post('/:id/members', auth, [
 
     await project.save();
 
+    await recordActivity({
+      actor: req.user._id,
+      type: 'member.added',
+      project: project._id,
+      targetName: project.name,
+      data: { user: userId, role }
+    });
+
     const updatedProject = await Project.findById(project._id)
       .populate('members.user', 'firstName lastName username avatar');
 
+    // Give the new member live updates without reconnecting
+    joinProjectRoom(req.io, userId, project._id);
+    req.io.to(project._id.toString()).emit('member-added', {
+      projectId: project._id.toString(),
+      userId,
+      role
+    });
+
+    notifySafely(req.io, {
+      recipients: [userId],
+      actor: req.user._id,
+      type: 'member-added',
+      title: `${req.user.fullName} added you to "${project.name}"`,
+      message: `You joined as ${role}`,
+      project: project._id,
+      data: { role }
+    });
+
     res.json({
       message: 'Member added successfully',
       project: updatedProject
@@ -253,26 +567,25 @@ router.post('/:id/members', auth, [
 // @route   DELETE /api/projects/:id/members/:userId
 // @desc    Remove member from project
 // @access  Private
-router.delete('/:id/members/:userId', auth, async (req, res) => {
+router.delete('/:id/members/:userId', auth, loadProject('manage-members'), async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    const project = req.project;
+
+    // Cannot remove the owner
+    if (req.params.userId === project.owner.toString()) {
+      return res.status(400).json({ message: 'Cannot remove project owner' });
     }
 
-    // Check if user is owner or admin
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isAdmin = project.members.some(member => 
-      member.user.toString() === req.user._id.toString() && member.role === 'admin'
+    const removedMember = project.members.find(member =>
+      member.user.toString() === req.params.userId
     );
-
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({ message: 'Access denied' });
+    if (!removedMember) {
+      return res.status(404).json({ message: 'Member not found' });
     }
 
-    // Cannot remove the owner
-    if (req.params.userId === project.owner.toString()) {
-      return res.status(400).json({ message: 'Cannot remove project owner' });
+    // Only owners can remove admins
+    if (removedMember.role === 'admin' && req.projectRole !== 'owner') {
+      return res.status(403).json({ message: 'Only project owners can remove admins' });
     }
 
     project.members = project.members.filter(member => 
@@ -281,6 +594,26 @@ router.delete('/:id/members/:userId', auth, async (req, res) => {
 
     await project.save();
 
+    // Former members should no longer receive task events
+    await Task.updateMany(
+      { project: project._id },
+      { $pull: { watchers: req.params.userId } }
+    );
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'member.removed',
+      project: project._id,
+      targetName: project.name,
+      data: { user: req.params.userId, role: removedMember.role }
+    });
+
+    req.io.to(project._id.toString()).emit('member-removed', {
+      projectId: project._id.toString(),
+      userId: req.params.userId
+    });
+    await leaveProjectRoom(req.io, req.params.userId, project._id);
+
     res.json({ message: 'Member removed successfully' });
 
   } catch (error) {
@@ -289,24 +622,436 @@ router.delete('/:id/members/:userId', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/projects/:id/analytics
-// @desc    Get project analytics
+// @route   GET /api/projects/:id/invites
+// @desc    List pending invitations and invite links
+// @access  Private
+router.get('/:id/invites', auth, loadProject('manage-members'), async (req, res) => {
+  try {
+    const invites = await ProjectInvite.find({
+      project: req.project._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'firstName lastName username avatar')
+      .sort({ createdAt: -1 });
+
+    // Used-up links are no longer pending
+    res.json(invites.filter(invite => !invite.maxUses || invite.uses < invite.maxUses));
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/invites
+// @desc    Invite someone to the project by email
+// @access  Private
+router.post('/:id/invites', auth, loadProject('manage-members'), [
+  body('email').isEmail().normalizeEmail().withMessage('Please enter a valid email'),
+  body('role').optional().isIn(['admin', 'member', 'viewer']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, role = 'member' } = req.body;
+    const project = req.project;
+
+    // Only owners can hand out admin rights
+    if (role === 'admin' && req.projectRole !== 'owner') {
+      return res.status(403).json({ message: 'Only project owners can invite admins' });
+    }
+
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && isMember(project, existingUser)) {
+      return res.status(400).json({ message: 'User is already a member of this project' });
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await ProjectInvite.updateMany(
+      { project: project._id, type: 'email', email, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() }
+    );
+
+    const invite = new ProjectInvite({
+      project: project._id,
+      type: 'email',
+      email,
+      role,
+      invitedBy: req.user._id
+    });
+    const token = assignToken(invite);
+    await invite.save();
+
+    invite.project = project;
+    await sendInviteEmail(invite, token, req.user);
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      invite
+    });
+
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/invite-links
+// @desc    Create a shareable invite link
+// @access  Private
+router.post('/:id/invite-links', auth, loadProject('manage-members'), [
+  body('role').optional().isIn(['admin', 'member', 'viewer']).withMessage('Invalid role'),
+  body('maxUses').optional({ nullable: true }).isInt({ min: 1, max: 1000 }).withMessage('maxUses must be between 1 and 1000'),
+  body('expiresInDays').optional().isInt({ min: 1, max: 90 }).withMessage('expiresInDays must be between 1 and 90')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { role = 'member', maxUses = null, expiresInDays } = req.body;
+
+    if (role === 'admin' && req.projectRole !== 'owner') {
+      return res.status(403).json({ message: 'Only project owners can invite admins' });
+    }
+
+    const invite = new ProjectInvite({
+      project: req.project._id,
+      type: 'link',
+      role,
+      maxUses: maxUses ? parseInt(maxUses) : null,
+      invitedBy: req.user._id
+    });
+    const token = assignToken(invite, expiresInDays ? parseInt(expiresInDays) : undefined);
+    await invite.save();
+
+    // The link is only shown once; it cannot be recovered later
+    res.status(201).json({
+      message: 'Invite link created successfully',
+      invite,
+      link: inviteLink(token)
+    });
+
+  } catch (error) {
+    console.error('Create invite link error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/invites/:inviteId/resend
+// @desc    Resend an email invitation with a fresh link and expiry
+// @access  Private
+router.post('/:id/invites/:inviteId/resend', auth, loadProject('manage-members'), async (req, res) => {
+  try {
+    const invite = await ProjectInvite.findOne({
+      _id: mongoose.isValidObjectId(req.params.inviteId) ? req.params.inviteId : null,
+      project: req.project._id,
+      status: 'pending'
+    });
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invite.type !== 'email') {
+      return res.status(400).json({ message: 'Only email invitations can be resent' });
+    }
+
+    const token = assignToken(invite);
+    await invite.save();
+
+    invite.project = req.project;
+    await sendInviteEmail(invite, token, req.user);
+
+    res.json({
+      message: 'Invitation resent successfully',
+      invite
+    });
+
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id/invites/:inviteId
+// @desc    Revoke an invitation or invite link
+// @access  Private
+router.delete('/:id/invites/:inviteId', auth, loadProject('manage-members'), async (req, res) => {
+  try {
+    const invite = await ProjectInvite.findOneAndUpdate(
+      {
+        _id: mongoose.isValidObjectId(req.params.inviteId) ? req.params.inviteId : null,
+        project: req.project._id,
+        status: 'pending'
+      },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bring tasks in line with a project's workflow: move them off removed
+// states and refresh their categories and completion dates
+const applyWorkflowToTasks = async (projectId, workflow, statusMapping) => {
+  for (const [from, to] of Object.entries(statusMapping)) {
+    await Task.updateMany({ project: projectId, status: from }, { status: to });
+  }
+
+  for (const state of workflow.states) {
+    const filter = { project: projectId, status: state.key };
+    await Task.updateMany(filter, { statusCategory: state.category });
+
+    if (state.category === 'done') {
+      await Task.updateMany({ ...filter, completedAt: null }, { completedAt: new Date() });
+    } else {
+      await Task.updateMany({ ...filter, completedAt: { $ne: null } }, { $unset: { completedAt: 1 } });
+    }
+  }
+};
+
+// @route   GET /api/projects/:id/workflow
+// @desc    Get the project's task workflow
 // @access  Private
-router.get('/:id/analytics', auth, async (req, res) => {
+router.get('/:id/workflow', auth, loadProject('view'), async (req, res) => {
   try {
-    const project = await Project.findById(req.params.id);
-    if (!project) {
-      return res.status(404).json({ message: 'Project not found' });
+    res.json(getWorkflow(req.project));
+
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/projects/:id/workflow
+// @desc    Replace the project's task workflow
+// @access  Private
+router.put('/:id/workflow', auth, loadProject('manage-project'), [
+  body('states').isArray({ min: 1 }).withMessage('States must be a non-empty array'),
+  body('statusMapping').optional().isObject().withMessage('Status mapping must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check access
-    const hasAccess = project.owner.toString() === req.user._id.toString() ||
-                     project.members.some(member => member.user.toString() === req.user._id.toString());
+    const project = req.project;
+    const workflow = normalizeWorkflow(req.body);
 
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Access denied' });
+    const problems = validateWorkflow(workflow);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Invalid workflow', errors: problems });
     }
 
+    // Tasks in states that are being removed must be mapped to a remaining state
+    const keys = workflow.states.map(state => state.key);
+    const usedStatuses = await Task.distinct('status', { project: project._id });
+    const statusMapping = {};
+    const unmapped = [];
+
+    usedStatuses.filter(status => !keys.includes(status)).forEach(status => {
+      const target = String((req.body.statusMapping || {})[status] || '').trim().toLowerCase();
+      if (keys.includes(target)) {
+        statusMapping[status] = target;
+      } else {
+        unmapped.push(status);
+      }
+    });
+
+    if (unmapped.length > 0) {
+      return res.status(400).json({
+        message: 'Tasks still use states missing from the new workflow; map them with statusMapping',
+        unmappedStates: unmapped
+      });
+    }
+
+    const previousKeys = getWorkflow(project).states.map(state => state.key);
+
+    project.workflow = workflow;
+    // WIP limits of removed columns no longer apply
+    project.board.wipLimits = project.board.wipLimits.filter(entry => keys.includes(entry.state));
+    await project.save();
+
+    await applyWorkflowToTasks(project._id, workflow, statusMapping);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'project.updated',
+      project: project._id,
+      targetName: project.name,
+      changes: [{ field: 'workflow', from: previousKeys, to: keys }],
+      data: { statusMapping }
+    });
+
+    req.io.to(project._id.toString()).emit('workflow-updated', {
+      projectId: project._id.toString(),
+      workflow: project.workflow
+    });
+
+    res.json({
+      message: 'Workflow updated successfully',
+      workflow: project.workflow,
+      remappedStates: statusMapping
+    });
+
+  } catch (error) {
+    console.error('Update workflow error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/projects/:id/board
+// @desc    Get the project's tasks grouped into workflow columns in board order
+// @access  Private
+router.get('/:id/board', auth, loadProject('view'), [
+  query('assignee').optional().isMongoId().withMessage('Invalid assignee ID'),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = req.project;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const filter = { project: project._id, isArchived: false };
+    if (req.query.assignee) filter.assignee = req.query.assignee;
+    if (req.query.priority) filter.priority = req.query.priority;
+
+    const columns = await Promise.all(getWorkflow(project).states.map(async state => {
+      const columnFilter = { ...filter, status: state.key };
+      const [tasks, count, total] = await Promise.all([
+        Task.find(columnFilter)
+          .select('title status statusCategory rank priority assignee dueDate labels estimatedHours progress subtasks')
+          .populate('assignee', 'firstName lastName username avatar')
+          .sort({ rank: 1, _id: 1 })
+          .limit(limit),
+        Task.countDocuments(columnFilter),
+        // WIP limits count every task in the column, not just the filtered ones
+        Task.countDocuments({ project: project._id, isArchived: false, status: state.key })
+      ]);
+
+      const wipLimit = wipLimitOf(project, state.key);
+      return {
+        key: state.key,
+        name: state.name,
+        category: state.category,
+        color: state.color,
+        wipLimit,
+        total,
+        overLimit: !!wipLimit && total > wipLimit,
+        atLimit: !!wipLimit && total >= wipLimit,
+        count,
+        hasMore: count > tasks.length,
+        tasks
+      };
+    }));
+
+    res.json({
+      projectId: project._id,
+      wipEnforcement: project.board.wipEnforcement,
+      columns
+    });
+
+  } catch (error) {
+    console.error('Get board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/projects/:id/board
+// @desc    Update WIP limits and how they are enforced
+// @access  Private
+router.put('/:id/board', auth, loadProject('manage-project'), [
+  body('wipLimits').optional().isObject().withMessage('WIP limits must map state keys to numbers'),
+  body('wipEnforcement').optional().isIn(['warn', 'block']).withMessage('WIP enforcement must be warn or block')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = req.project;
+    const { wipLimits, wipEnforcement } = req.body;
+
+    if (wipLimits) {
+      const keys = getWorkflow(project).states.map(state => state.key);
+      const unknown = Object.keys(wipLimits).filter(key => !keys.includes(key));
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `Unknown workflow states: ${unknown.join(', ')}` });
+      }
+
+      // null or 0 removes a column's limit
+      const invalid = Object.keys(wipLimits).filter(key => {
+        const limit = wipLimits[key];
+        return limit !== null && !(Number.isInteger(limit) && limit >= 0);
+      });
+      if (invalid.length > 0) {
+        return res.status(400).json({ message: `WIP limits must be whole numbers (${invalid.join(', ')})` });
+      }
+
+      const merged = new Map(project.board.wipLimits.map(entry => [entry.state, entry.limit]));
+      Object.entries(wipLimits).forEach(([key, limit]) => {
+        if (limit) merged.set(key, limit);
+        else merged.delete(key);
+      });
+      project.board.wipLimits = Array.from(merged, ([state, limit]) => ({ state, limit }));
+    }
+
+    if (wipEnforcement) project.board.wipEnforcement = wipEnforcement;
+
+    await project.save();
+
+    req.io.to(project._id.toString()).emit('board-updated', {
+      projectId: project._id.toString(),
+      board: project.board
+    });
+
+    res.json({
+      message: 'Board settings updated successfully',
+      board: project.board
+    });
+
+  } catch (error) {
+    console.error('Update board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/projects/:id/analytics
+// @desc    Get project analytics
+// @access  Private
+router.get('/:id/analytics', auth, loadProject('view'), [
+  query('sprint').optional().isMongoId().withMessage('Invalid sprint ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = req.project;
+
     // Task statistics
     const taskStats = await Task.aggregate([
       { $match: { project: project._id, isArchived: false } },
@@ -314,9 +1059,9 @@ router.get('/:id/analytics', auth, async (req, res) => {
         $group: {
           _id: null,
           total: { $sum: 1 },
-          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
-          inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
-          todo: { $sum: { $cond: [{ $eq: ['$status', 'todo'] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] } },
+          inProgress: { $sum: { $cond: [{ $eq: ['$statusCategory', 'active'] }, 1, 0] } },
+          todo: { $sum: { $cond: [{ $eq: ['$statusCategory', 'not-started'] }, 1, 0] } },
           overdue: {
             $sum: {
               $cond: [
@@ -324,7 +1069,7 @@ router.get('/:id/analytics', auth, async (req, res) => {
                   $and: [
                     { $ne: ['$dueDate', null] },
                     { $lt: ['$dueDate', new Date()] },
-                    { $ne: ['$status', 'completed'] }
+                    { $ne: ['$statusCategory', 'done'] }
                   ]
                 },
                 1,
@@ -336,6 +1081,18 @@ router.get('/:id/analytics', auth, async (req, res) => {
       }
     ]);
 
+    // Tasks per workflow state, in workflow order
+    const statusCounts = await Task.aggregate([
+      { $match: { project: project._id, isArchived: false } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const statusStats = getWorkflow(project).states.map(state => ({
+      _id: state.key,
+      name: state.name,
+      category: state.category,
+      count: (statusCounts.find(item => item._id === state.key) || { count: 0 }).count
+    }));
+
     // Priority distribution
     const priorityStats = await Task.aggregate([
       { $match: { project: project._id, isArchived: false } },
@@ -357,11 +1114,37 @@ router.get('/:id/analytics', auth, async (req, res) => {
       .sort({ updatedAt: -1 })
       .limit(5);
 
+    // Burndown of the requested sprint, else the active one, else the last completed one
+    const sprint = req.query.sprint
+      ? await Sprint.findOne({ _id: req.query.sprint, project: project._id })
+      : await Sprint.findOne({ project: project._id, status: 'active' }) ||
+        await Sprint.findOne({ project: project._id, status: 'completed' }).sort({ completedAt: -1 });
+
+    if (req.query.sprint && !sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+
+    const sprintStats = sprint
+      ? {
+        _id: sprint._id,
+        name: sprint.name,
+        status: sprint.status,
+        startDate: sprint.startDate,
+        endDate: sprint.endDate,
+        capacity: sprint.capacity,
+        committedPoints: sprint.committedPoints,
+        burndown: buildBurndown(sprint, project, await getSprintTasks(sprint, project))
+      }
+      : null;
+
     res.json({
       taskStats: taskStats[0] || { total: 0, completed: 0, inProgress: 0, todo: 0, overdue: 0 },
+      statusStats,
       priorityStats,
       memberStats,
       recentTasks,
+      sprint: sprintStats,
+      velocity: await getVelocity(project._id),
       project: {
         name: project.name,
         progress: project.progress,
@@ -375,4 +1158,71 @@ router.get('/:id/analytics', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/projects/:id/dependency-graph
+// @desc    Get task dependency graph and critical path
+// @access  Private
+router.get('/:id/dependency-graph', auth, loadProject('view'), async (req, res) => {
+  try {
+    const project = req.project;
+
+    const tasks = await Task.find({ project: project._id, isArchived: false })
+      .select('title status statusCategory priority assignee dueDate estimatedHours dependencies');
+
+    res.json(buildDependencyGraph(tasks, getWorkflow(project)));
+
+  } catch (error) {
+    console.error('Dependency graph error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/projects/:id/activity
+// @desc    Get project activity feed
+// @access  Private
+router.get('/:id/activity', auth, loadProject('view'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('type').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = req.project;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = buildActivityFilter({ project: project._id }, req.query);
+
+    const activities = await Activity.find(filter)
+      .populate('actor', 'firstName lastName username avatar')
+      .populate('task', 'title status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Activity.countDocuments(filter);
+
+    res.json({
+      activities,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get project activity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,484 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const { auth } = require('../middleware/auth');
+const { loadProject } = require('../middleware/permissions');
+const {
+  sumPoints,
+  getSprintTasks,
+  summarizeSprint,
+  buildBurndown
+} = require('../utils/sprints');
+const { recordActivity } = require('../utils/activity');
+
+const router = express.Router();
+
+const SPRINT_FIELDS = ['name', 'goal', 'startDate', 'endDate', 'capacity'];
+
+// Load a sprint of the already loaded project
+const loadSprint = async (req, res, next) => {
+  try {
+    const sprint = mongoose.isValidObjectId(req.params.sprintId)
+      ? await Sprint.findOne({ _id: req.params.sprintId, project: req.project._id })
+      : null;
+
+    if (!sprint) {
+      return res.status(404).json({ message: 'Sprint not found' });
+    }
+
+    req.sprint = sprint;
+    next();
+  } catch (error) {
+    console.error('Load sprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const sprintValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().isLength({ max: 100 }).withMessage('Sprint name must be 1-100 characters'),
+    body('goal').optional({ values: 'null' }).isString().isLength({ max: 500 }).withMessage('Goal cannot exceed 500 characters'),
+    field('startDate').isISO8601().withMessage('Valid start date is required'),
+    field('endDate').isISO8601().withMessage('Valid end date is required'),
+    body('capacity').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Capacity must be a non-negative number')
+  ];
+};
+
+const emitSprintUpdate = (req, sprint, action) => {
+  const projectId = req.project._id.toString();
+  req.io.to(projectId).emit('sprint-updated', {
+    projectId,
+    action,
+    sprint,
+    actor: req.user._id
+  });
+};
+
+// Move tasks between sprints (or to the backlog with null), one activity entry per task
+const moveTasksToSprint = async (req, tasks, sprintId) => {
+  const moved = tasks.filter(task => String(task.sprint || null) !== String(sprintId || null));
+  if (moved.length === 0) return moved;
+
+  await Task.updateMany(
+    { _id: { $in: moved.map(task => task._id) } },
+    { $set: { sprint: sprintId || null } }
+  );
+
+  await Promise.all(moved.map(task => recordActivity({
+    actor: req.user._id,
+    type: 'task.updated',
+    project: req.project._id,
+    task: task._id,
+    targetName: task.title,
+    changes: [{ field: 'sprint', from: task.sprint || null, to: sprintId || null }]
+  })));
+
+  return moved;
+};
+
+// @route   GET /api/projects/:id/sprints
+// @desc    Get the project's sprints with their point totals
+// @access  Private
+router.get('/:id/sprints', auth, loadProject('view'), async (req, res) => {
+  try {
+    const filter = { project: req.project._id };
+    if (['planned', 'active', 'completed'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const sprints = await Sprint.find(filter)
+      .populate('createdBy', 'firstName lastName username avatar')
+      .sort({ startDate: 1 });
+
+    const results = await Promise.all(sprints.map(async (sprint) => ({
+      ...sprint.toObject(),
+      summary: summarizeSprint(sprint, await getSprintTasks(sprint, req.project))
+    })));
+
+    const backlog = await Task.find({ project: req.project._id, sprint: null, isArchived: false })
+      .select('storyPoints statusCategory');
+
+    res.json({
+      sprints: results,
+      backlog: {
+        taskCount: backlog.length,
+        openPoints: sumPoints(backlog.filter(task => task.statusCategory !== 'done'))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sprints error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/sprints
+// @desc    Plan a new sprint
+// @access  Private
+router.post('/:id/sprints', auth, loadProject('manage-project'), sprintValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, goal, startDate, endDate, capacity } = req.body;
+    if (new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ message: 'End date cannot be before the start date' });
+    }
+
+    const sprint = new Sprint({
+      project: req.project._id,
+      name,
+      goal,
+      startDate,
+      endDate,
+      capacity: capacity === undefined ? null : capacity,
+      createdBy: req.user._id
+    });
+    await sprint.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'sprint.created',
+      project: req.project._id,
+      targetName: sprint.name,
+      data: { sprintId: sprint._id }
+    });
+
+    emitSprintUpdate(req, sprint, 'created');
+
+    res.status(201).json({
+      message: 'Sprint created successfully',
+      sprint
+    });
+
+  } catch (error) {
+    console.error('Create sprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/projects/:id/sprints/:sprintId
+// @desc    Get a sprint with its tasks, point totals and burndown
+// @access  Private
+router.get('/:id/sprints/:sprintId', auth, loadProject('view'), loadSprint, async (req, res) => {
+  try {
+    const sprint = req.sprint;
+
+    const tasks = await Task.find({ sprint: sprint._id, isArchived: false })
+      .populate('assignee', 'firstName lastName username avatar')
+      .sort({ rank: 1, _id: 1 });
+    const scope = await getSprintTasks(sprint, req.project);
+
+    res.json({
+      sprint,
+      tasks,
+      summary: summarizeSprint(sprint, scope),
+      burndown: buildBurndown(sprint, req.project, scope)
+    });
+
+  } catch (error) {
+    console.error('Get sprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/projects/:id/sprints/:sprintId
+// @desc    Update a sprint's name, goal, dates or capacity
+// @access  Private
+router.put('/:id/sprints/:sprintId', auth, loadProject('manage-project'), loadSprint, sprintValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sprint = req.sprint;
+    if (sprint.status === 'completed') {
+      return res.status(400).json({ message: 'Completed sprints cannot be changed' });
+    }
+
+    const changes = [];
+    SPRINT_FIELDS.forEach(field => {
+      if (req.body[field] === undefined) return;
+      const from = sprint[field] === undefined ? null : sprint[field];
+      sprint[field] = req.body[field];
+      if (JSON.stringify(from) !== JSON.stringify(sprint[field])) {
+        changes.push({ field, from, to: sprint[field] });
+      }
+    });
+
+    if (sprint.endDate < sprint.startDate) {
+      return res.status(400).json({ message: 'End date cannot be before the start date' });
+    }
+
+    await sprint.save();
+
+    if (changes.length > 0) {
+      await recordActivity({
+        actor: req.user._id,
+        type: 'sprint.updated',
+        project: req.project._id,
+        targetName: sprint.name,
+        changes,
+        data: { sprintId: sprint._id }
+      });
+    }
+
+    emitSprintUpdate(req, sprint, 'updated');
+
+    res.json({
+      message: 'Sprint updated successfully',
+      sprint
+    });
+
+  } catch (error) {
+    console.error('Update sprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id/sprints/:sprintId
+// @desc    Delete a planned sprint; its tasks go back to the backlog
+// @access  Private
+router.delete('/:id/sprints/:sprintId', auth, loadProject('manage-project'), loadSprint, async (req, res) => {
+  try {
+    const sprint = req.sprint;
+    if (sprint.status !== 'planned') {
+      return res.status(400).json({ message: 'Only planned sprints can be deleted' });
+    }
+
+    const tasks = await Task.find({ sprint: sprint._id }).select('title sprint');
+    await moveTasksToSprint(req, tasks, null);
+    await Sprint.findByIdAndDelete(sprint._id);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'sprint.deleted',
+      project: req.project._id,
+      targetName: sprint.name,
+      data: { sprintId: sprint._id, taskCount: tasks.length }
+    });
+
+    emitSprintUpdate(req, sprint, 'deleted');
+
+    res.json({ message: 'Sprint deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete sprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/sprints/:sprintId/tasks
+// @desc    Plan tasks into a sprint
+// @access  Private
+router.post('/:id/sprints/:sprintId/tasks', auth, loadProject('edit-any-task'), loadSprint, [
+  body('taskIds').isArray({ min: 1, max: 200 }).withMessage('taskIds must be a list of 1-200 task IDs'),
+  body('taskIds.*').isMongoId().withMessage('Invalid task ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sprint = req.sprint;
+    if (sprint.status === 'completed') {
+      return res.status(400).json({ message: 'Tasks cannot be added to a completed sprint' });
+    }
+
+    const tasks = await Task.find({
+      _id: { $in: req.body.taskIds },
+      project: req.project._id,
+      isArchived: false
+    }).select('title sprint');
+
+    if (tasks.length !== new Set(req.body.taskIds).size) {
+      return res.status(400).json({ message: 'Some tasks were not found in this project' });
+    }
+
+    const moved = await moveTasksToSprint(req, tasks, sprint._id);
+
+    const summary = summarizeSprint(sprint, await getSprintTasks(sprint, req.project));
+    const overCapacity = summary.remainingCapacity !== null && summary.remainingCapacity < 0;
+
+    emitSprintUpdate(req, sprint, 'planned');
+
+    res.json({
+      message: 'Tasks added to sprint',
+      moved: moved.map(task => task._id),
+      summary,
+      warnings: overCapacity
+        ? [`${sprint.name} is planned ${-summary.remainingCapacity} points over its capacity of ${sprint.capacity}`]
+        : undefined
+    });
+
+  } catch (error) {
+    console.error('Plan sprint tasks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/projects/:id/sprints/:sprintId/tasks/:taskId
+// @desc    Move a task from a sprint back to the backlog
+// @access  Private
+router.delete('/:id/sprints/:sprintId/tasks/:taskId', auth, loadProject('edit-any-task'), loadSprint, async (req, res) => {
+  try {
+    const sprint = req.sprint;
+    if (sprint.status === 'completed') {
+      return res.status(400).json({ message: 'Tasks cannot be removed from a completed sprint' });
+    }
+
+    const task = mongoose.isValidObjectId(req.params.taskId)
+      ? await Task.findOne({ _id: req.params.taskId, sprint: sprint._id }).select('title sprint')
+      : null;
+    if (!task) {
+      return res.status(404).json({ message: 'Task is not part of this sprint' });
+    }
+
+    await moveTasksToSprint(req, [task], null);
+
+    emitSprintUpdate(req, sprint, 'planned');
+
+    res.json({
+      message: 'Task moved to the backlog',
+      summary: summarizeSprint(sprint, await getSprintTasks(sprint, req.project))
+    });
+
+  } catch (error) {
+    console.error('Remove sprint task error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/sprints/:sprintId/start
+// @desc    Start a planned sprint and record the points it commits to
+// @access  Private
+router.post('/:id/sprints/:sprintId/start', auth, loadProject('manage-project'), loadSprint, async (req, res) => {
+  try {
+    const sprint = req.sprint;
+    if (sprint.status !== 'planned') {
+      return res.status(400).json({ message: 'Only planned sprints can be started' });
+    }
+
+    const active = await Sprint.findOne({ project: req.project._id, status: 'active' }).select('name');
+    if (active) {
+      return res.status(400).json({
+        message: `Complete ${active.name} before starting another sprint`,
+        activeSprint: active._id
+      });
+    }
+
+    sprint.committedPoints = sumPoints(await getSprintTasks(sprint, req.project));
+    sprint.status = 'active';
+    sprint.startedAt = new Date();
+    await sprint.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'sprint.started',
+      project: req.project._id,
+      targetName: sprint.name,
+      data: { sprintId: sprint._id, committedPoints: sprint.committedPoints }
+    });
+
+    emitSprintUpdate(req, sprint, 'started');
+
+    res.json({
+      message: 'Sprint started',
+      sprint
+    });
+
+  } catch (error) {
+    console.error('Start sprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/projects/:id/sprints/:sprintId/complete
+// @desc    Complete the active sprint and carry unfinished tasks over
+// @access  Private
+router.post('/:id/sprints/:sprintId/complete', auth, loadProject('manage-project'), loadSprint, [
+  body('carryOverTo').optional().custom(value => value === 'backlog' || mongoose.isValidObjectId(value))
+    .withMessage('carryOverTo must be a sprint ID or "backlog"')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sprint = req.sprint;
+    if (sprint.status !== 'active') {
+      return res.status(400).json({ message: 'Only the active sprint can be completed' });
+    }
+
+    // Unfinished work goes to the chosen sprint, else the next planned one, else the backlog
+    let target = null;
+    if (req.body.carryOverTo && req.body.carryOverTo !== 'backlog') {
+      target = await Sprint.findOne({
+        _id: req.body.carryOverTo,
+        project: req.project._id,
+        status: 'planned'
+      });
+      if (!target) {
+        return res.status(400).json({ message: 'Unfinished tasks can only move to a planned sprint of this project' });
+      }
+    } else if (!req.body.carryOverTo) {
+      target = await Sprint.findOne({ project: req.project._id, status: 'planned' }).sort({ startDate: 1 });
+    }
+
+    const scope = await getSprintTasks(sprint, req.project);
+    const unfinished = await Task.find({
+      sprint: sprint._id,
+      isArchived: false,
+      statusCategory: { $ne: 'done' }
+    }).select('title sprint storyPoints');
+
+    await moveTasksToSprint(req, unfinished, target ? target._id : null);
+
+    sprint.status = 'completed';
+    sprint.completedAt = new Date();
+    sprint.completedPoints = sumPoints(scope.filter(task => task.statusCategory === 'done'));
+    sprint.carriedOver = unfinished.map(task => ({ task: task._id, storyPoints: task.storyPoints || 0 }));
+    sprint.carriedOverTo = target ? target._id : null;
+    await sprint.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'sprint.completed',
+      project: req.project._id,
+      targetName: sprint.name,
+      data: {
+        sprintId: sprint._id,
+        committedPoints: sprint.committedPoints,
+        completedPoints: sprint.completedPoints,
+        carriedOver: unfinished.length,
+        carriedOverTo: target ? target._id : 'backlog'
+      }
+    });
+
+    emitSprintUpdate(req, sprint, 'completed');
+
+    res.json({
+      message: 'Sprint completed',
+      sprint,
+      carriedOver: {
+        count: unfinished.length,
+        points: sumPoints(unfinished),
+        to: target ? { _id: target._id, name: target.name } : 'backlog'
+      }
+    });
+
+  } catch (error) {
+    console.error('Complete sprint error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,20 +1,131 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult, query } = require('express-validator');
 const Task = require('../models/Task');
 const Project = require('../models/Project');
+const TaskSeries = require('../models/TaskSeries');
+const Template = require('../models/Template');
 const { auth } = require('../middleware/auth');
+const { loadTask, loadProject, getProjectRole, can, resolveOrganization } = require('../middleware/permissions');
+const {
+  INVERSE_TYPES,
+  wouldCreateCycle,
+  getOpenBlockers
+} = require('../utils/dependencies');
+const { STATUS_CATEGORIES } = require('../models/workflowSchema');
+const {
+  getWorkflow,
+  findState,
+  initialStateOf,
+  isGatedState,
+  checkTransition
+} = require('../utils/workflows');
+const { getTaskAttachmentKeys, removeStoredFiles } = require('../utils/storage');
+const { notifySafely, getTaskAudience } = require('../utils/notifications');
+const { resolveMentions } = require('../utils/mentions');
+const { emitToTask } = require('../utils/socket');
+const { rankBetween } = require('../utils/ranking');
+const { nextRank, checkWipLimit } = require('../utils/board');
+const { canUseTemplate, taskFieldsFrom } = require('../utils/templates');
+const {
+  buildSeries,
+  updateSeries,
+  stopSeries,
+  applyToFutureOccurrences,
+  upcomingDates
+} = require('../utils/recurrence');
+const { notifyStatusChange, advanceRecurrence } = require('../utils/taskStatus');
+const { escapeRegex, archiveTask, unarchiveTask } = require('../utils/archive');
+const Activity = require('../models/Activity');
+const {
+  TASK_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordActivity,
+  buildActivityFilter
+} = require('../utils/activity');
 
 const router = express.Router();
 
+// Keep task progress in step with its subtasks when auto progress is enabled
+const syncSubtaskProgress = (task) => {
+  if (task.autoProgress && task.subtasks.length > 0) {
+    task.progress = task.subtaskProgress;
+  }
+};
+
+// Notify members mentioned in a comment (in-app and by email)
+const notifyMentions = (req, task, userIds, comment) => {
+  notifySafely(req.io, {
+    recipients: userIds,
+    actor: req.user._id,
+    type: 'mention',
+    title: `${req.user.fullName} mentioned you on "${task.title}"`,
+    message: comment.content.slice(0, 500),
+    task: task._id,
+    project: task.project._id,
+    data: { commentId: comment._id },
+    email: {
+      template: 'mention',
+      data: { actor: req.user, task, project: task.project, comment: comment.content }
+    }
+  });
+};
+
+// Open blockers that stop a task from entering a state; the project owner
+// can override them with overrideBlockers
+const getBlockingTasks = async (req, task, state) => {
+  if (!isGatedState(state)) return [];
+
+  const override = req.body.overrideBlockers === true || req.body.overrideBlockers === 'true';
+  if (override && req.projectRole === 'owner') return [];
+
+  return getOpenBlockers(task);
+};
+
+// Duration in whole minutes between two dates
+const minutesBetween = (start, end) => {
+  return Math.max(Math.round((new Date(end) - new Date(start)) / 60000), 0);
+};
+
+// Send time tracking changes to the task's watchers and viewers
+const emitTimeTrackingUpdate = (req, task, action, entryId) => {
+  emitToTask(req.io, task, 'time-tracking-updated', {
+    taskId: task._id,
+    action,
+    entryId,
+    userId: req.user._id,
+    actualHours: task.actualHours,
+    projectId: task.project._id.toString()
+  });
+};
+
+// Send subtask changes to the task's watchers and viewers
+const emitSubtaskUpdate = (req, task, action, subtaskId) => {
+  emitToTask(req.io, task, 'subtask-updated', {
+    taskId: task._id,
+    action,
+    subtaskId,
+    subtasks: task.subtasks,
+    subtaskProgress: task.subtaskProgress,
+    progress: task.progress,
+    projectId: task.project._id.toString()
+  });
+};
+
 // @route   GET /api/tasks
-// @desc    Get tasks with filtering and pagination
+// @desc    Get tasks in the active organization with filtering and pagination
 // @access  Private
-router.get('/', auth, [
+router.get('/', auth, resolveOrganization, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled']),
+  query('status').optional().isString().trim(),
+  query('statusCategory').optional().isIn(STATUS_CATEGORIES).withMessage('Invalid status category'),
   query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  query('project').optional().isMongoId().withMessage('Invalid project ID')
+  query('project').optional().isMongoId().withMessage('Invalid project ID'),
+  query('sprint').optional().custom(value => value === 'backlog' || mongoose.isValidObjectId(value))
+    .withMessage('Sprint must be a sprint ID or "backlog"'),
+  query('watching').optional().isBoolean().withMessage('Watching must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,9 +141,12 @@ router.get('/', auth, [
     const filter = { isArchived: false };
     
     if (req.query.status) filter.status = req.query.status;
+    if (req.query.statusCategory) filter.statusCategory = req.query.statusCategory;
     if (req.query.priority) filter.priority = req.query.priority;
     if (req.query.project) filter.project = req.query.project;
     if (req.query.assignee) filter.assignee = req.query.assignee;
+    if (req.query.sprint) filter.sprint = req.query.sprint === 'backlog' ? null : req.query.sprint;
+    if (req.query.watching === 'true') filter.watchers = req.user._id;
     if (req.query.search) {
       filter.$or = [
         { title: { $regex: req.query.search, $options: 'i' } },
@@ -40,8 +154,9 @@ router.get('/', auth, [
       ];
     }
 
-    // Get user's accessible projects
+    // Get user's accessible projects in the active organization
     const userProjects = await Project.find({
+      organization: req.organization._id,
       $or: [
         { owner: req.user._id },
         { 'members.user': req.user._id }
@@ -49,7 +164,9 @@ router.get('/', auth, [
     }).select('_id');
 
     const projectIds = userProjects.map(p => p._id);
-    filter.project = { $in: projectIds };
+    filter.project = req.query.project
+      ? { $in: projectIds.filter(id => id.toString() === req.query.project) }
+      : { $in: projectIds };
 
     const tasks = await Task.find(filter)
       .populate('assignee', 'firstName lastName username avatar')
@@ -79,10 +196,78 @@ router.get('/', auth, [
   }
 });
 
+// @route   GET /api/tasks/archived
+// @desc    Get archived tasks in the active organization, with search and pagination
+// @access  Private
+router.get('/archived', auth, resolveOrganization, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('project').optional().isMongoId().withMessage('Invalid project ID'),
+  query('search').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Tasks of projects in the trash stay hidden until the project is restored
+    const userProjects = await Project.find({
+      organization: req.organization._id,
+      deletedAt: null,
+      $or: [
+        { owner: req.user._id },
+        { 'members.user': req.user._id }
+      ]
+    }).select('_id');
+
+    const projectIds = userProjects.map(p => p._id);
+    const filter = {
+      isArchived: true,
+      project: req.query.project
+        ? { $in: projectIds.filter(id => id.toString() === req.query.project) }
+        : { $in: projectIds }
+    };
+    if (req.query.search) {
+      const search = new RegExp(escapeRegex(req.query.search), 'i');
+      filter.$or = [{ title: search }, { description: search }, { 'labels.name': search }];
+    }
+
+    const tasks = await Task.find(filter)
+      .populate('assignee', 'firstName lastName username avatar')
+      .populate('reporter', 'firstName lastName username avatar')
+      .populate('project', 'name color isArchived')
+      .sort({ archivedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Task.countDocuments(filter);
+
+    res.json({
+      tasks,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get archived tasks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/tasks/:id
 // @desc    Get single task
 // @access  Private
-router.get('/:id', auth, async (req, res) => {
+router.get('/:id', auth, loadTask('view'), async (req, res) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate('assignee', 'firstName lastName username avatar')
@@ -92,19 +277,6 @@ router.get('/:id', auth, async (req, res) => {
       .populate('comments.author', 'firstName lastName username avatar')
       .populate('timeTracking.user', 'firstName lastName username avatar');
 
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
-
-    // Check if user has access to this task
-    const project = await Project.findById(task.project._id);
-    const hasAccess = project.owner.toString() === req.user._id.toString() ||
-                     project.members.some(member => member.user.toString() === req.user._id.toString());
-
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
-
     res.json(task);
 
   } catch (error) {
@@ -114,50 +286,88 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   POST /api/tasks
-// @desc    Create new task
+// @desc    Create new task, optionally from a task template
 // @access  Private
 router.post('/', auth, [
-  body('title').notEmpty().trim().withMessage('Title is required'),
+  body('title').if(body('templateId').not().exists()).notEmpty().trim().withMessage('Title is required'),
+  body('templateId').optional().isMongoId().withMessage('Invalid template ID'),
   body('project').isMongoId().withMessage('Valid project ID is required'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  body('status').optional().isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled']),
-  body('dueDate').optional().isISO8601().withMessage('Invalid due date format')
-], async (req, res) => {
+  body('status').optional().isString().trim().notEmpty().withMessage('Status cannot be empty'),
+  body('dueDate').optional().isISO8601().withMessage('Invalid due date format'),
+  body('storyPoints').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('Story points must be between 0 and 100'),
+  body('recurrence').optional().isObject().withMessage('Recurrence must be an object')
+], loadProject('create-task', { bodyField: 'project' }), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, project, assignee, priority, status, dueDate, estimatedHours, labels } = req.body;
+    const { title, description, project, assignee, priority, status, dueDate, estimatedHours, storyPoints, labels, templateId } = req.body;
+    const projectDoc = req.project;
+    const workflow = getWorkflow(projectDoc);
 
-    // Check if project exists and user has access
-    const projectDoc = await Project.findById(project);
-    if (!projectDoc) {
-      return res.status(404).json({ message: 'Project not found' });
+    const template = templateId ? await Template.findOne({ _id: templateId, type: 'task' }) : null;
+    if (templateId && (!template || !canUseTemplate(template, req.user, projectDoc.organization))) {
+      return res.status(404).json({ message: 'Template not found' });
     }
 
-    const hasAccess = projectDoc.owner.toString() === req.user._id.toString() ||
-                     projectDoc.members.some(member => member.user.toString() === req.user._id.toString());
-
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Access denied to this project' });
-    }
+    // Fields sent with the request override the template's; its due date
+    // counts from today
+    const templateFields = template ? taskFieldsFrom(template.tasks[0], projectDoc, new Date()) : {};
+    const taskAssignee = assignee || templateFields.assignee || null;
 
     const task = new Task({
-      title,
-      description: description || '',
+      title: title || templateFields.title,
+      description: description || templateFields.description || '',
       project,
-      assignee: assignee || null,
+      assignee: taskAssignee,
       reporter: req.user._id,
-      priority: priority || 'medium',
-      status: status || 'todo',
-      dueDate: dueDate || null,
-      estimatedHours: estimatedHours || null,
-      labels: labels || []
+      priority: priority || templateFields.priority || 'medium',
+      status: status || initialStateOf(workflow),
+      dueDate: dueDate || templateFields.dueDate || null,
+      estimatedHours: estimatedHours || templateFields.estimatedHours || null,
+      storyPoints: storyPoints === undefined ? (templateFields.storyPoints === undefined ? null : templateFields.storyPoints) : storyPoints,
+      labels: labels || templateFields.labels || [],
+      subtasks: templateFields.subtasks || [],
+      // Reporter and assignee watch the task automatically
+      watchers: [req.user._id, taskAssignee].filter(Boolean)
     });
 
+    // Tasks created straight into a later state need its required fields
+    const problem = checkTransition(workflow, task, null, task.status);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
+
+    const wip = await checkWipLimit(projectDoc, task.status, task._id);
+    if (wip && wip.blocked) {
+      return res.status(400).json({ message: wip.message, wipLimit: wip });
+    }
+
+    const series = req.body.recurrence ? await buildSeries(task, req.body.recurrence, req.user) : null;
+
+    task.rank = await nextRank(projectDoc._id);
+    task.$locals.workflow = workflow;
     await task.save();
+    if (series) await series.save();
+
+    if (template) {
+      await Template.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } });
+    }
+
+    const initial = snapshot(task, TASK_FIELDS);
+    await recordActivity({
+      actor: req.user._id,
+      type: 'task.created',
+      project: projectDoc._id,
+      task: task._id,
+      targetName: task.title,
+      changes: Object.keys(initial)
+        .filter(field => initial[field] !== null && !(Array.isArray(initial[field]) && initial[field].length === 0))
+        .map(field => ({ field, from: null, to: initial[field] }))
+    });
 
     const populatedTask = await Task.findById(task._id)
       .populate('assignee', 'firstName lastName username avatar')
@@ -170,12 +380,28 @@ router.post('/', auth, [
       projectId: project
     });
 
+    if (task.assignee) {
+      notifySafely(req.io, {
+        recipients: [task.assignee],
+        actor: req.user._id,
+        type: 'task-assigned',
+        title: `${req.user.fullName} assigned you "${task.title}"`,
+        task: task._id,
+        project: projectDoc._id,
+        email: { template: 'assignment', data: { actor: req.user, task, project: projectDoc } }
+      });
+    }
+
     res.status(201).json({
       message: 'Task created successfully',
-      task: populatedTask
+      task: populatedTask,
+      warnings: wip ? [wip.message] : undefined
     });
 
   } catch (error) {
+    if (error.name === 'RecurrenceError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Create task error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -186,38 +412,84 @@ router.post('/', auth, [
 // @access  Private
 router.put('/:id', auth, [
   body('title').optional().notEmpty().trim().withMessage('Title cannot be empty'),
+  body('autoProgress').optional().isBoolean().withMessage('autoProgress must be a boolean'),
+  body('overrideBlockers').optional().isBoolean().withMessage('overrideBlockers must be a boolean'),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
-  body('status').optional().isIn(['todo', 'in-progress', 'review', 'completed', 'cancelled']),
-  body('dueDate').optional().isISO8601().withMessage('Invalid due date format')
-], async (req, res) => {
+  body('status').optional().isString().trim().notEmpty().withMessage('Status cannot be empty'),
+  body('dueDate').optional().isISO8601().withMessage('Invalid due date format'),
+  body('storyPoints').optional({ values: 'null' }).isFloat({ min: 0, max: 100 }).withMessage('Story points must be between 0 and 100'),
+  body('scope').optional().isIn(['this', 'future']).withMessage('Scope must be "this" or "future"')
+], loadTask('edit-task'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const task = await Task.findById(req.params.id).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    const task = req.task;
+    const workflow = getWorkflow(task.project);
+    const statusChanged = req.body.status !== undefined && req.body.status !== task.status;
+    const targetState = statusChanged ? findState(workflow, req.body.status) : null;
+
+    if (statusChanged && !targetState) {
+      return res.status(400).json({ message: `"${req.body.status}" is not a state of this project's workflow` });
     }
 
-    // Check access
-    const hasAccess = task.project.owner.toString() === req.user._id.toString() ||
-                     task.project.members.some(member => member.user.toString() === req.user._id.toString());
+    // Tasks cannot start or finish while blockers are open, unless the project owner overrides
+    const blockers = statusChanged ? await getBlockingTasks(req, task, targetState) : [];
+    if (blockers.length > 0) {
+      return res.status(400).json({
+        message: 'Task is blocked by unfinished tasks',
+        blockers
+      });
+    }
 
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Access denied' });
+    const wip = statusChanged ? await checkWipLimit(task.project, targetState.key, task._id) : null;
+    if (wip && wip.blocked) {
+      return res.status(400).json({ message: wip.message, wipLimit: wip });
     }
 
-    const updateFields = ['title', 'description', 'assignee', 'priority', 'status', 'dueDate', 'estimatedHours', 'progress', 'labels'];
+    const before = snapshot(task, TASK_FIELDS);
+    const previousAssignee = task.assignee ? task.assignee.toString() : null;
+    const previousStatus = task.status;
+
+    const updateFields = ['title', 'description', 'assignee', 'priority', 'status', 'dueDate', 'estimatedHours', 'storyPoints', 'progress', 'labels', 'autoProgress'];
     updateFields.forEach(field => {
       if (req.body[field] !== undefined) {
         task[field] = req.body[field];
       }
     });
 
+    // Checked after applying the update so required fields can be filled in the same request
+    if (statusChanged) {
+      const problem = checkTransition(workflow, task, previousStatus, task.status);
+      if (problem) {
+        return res.status(400).json(problem);
+      }
+    }
+
+    syncSubtaskProgress(task);
+
+    // A new assignee starts watching the task
+    if (task.assignee && task.assignee.toString() !== previousAssignee) {
+      task.watchers.addToSet(task.assignee);
+    }
+
+    task.$locals.workflow = workflow;
     await task.save();
 
+    const changes = diffSnapshots(before, snapshot(task, TASK_FIELDS));
+    if (changes.length > 0) {
+      await recordActivity({
+        actor: req.user._id,
+        type: 'task.updated',
+        project: task.project._id,
+        task: task._id,
+        targetName: task.title,
+        changes
+      });
+    }
+
     const updatedTask = await Task.findById(task._id)
       .populate('assignee', 'firstName lastName username avatar')
       .populate('reporter', 'firstName lastName username avatar')
@@ -229,9 +501,59 @@ router.put('/:id', auth, [
       projectId: task.project._id.toString()
     });
 
+    // "All future occurrences" edits also change the series template and the
+    // later occurrences that already exist
+    const futureOccurrences = req.body.scope === 'future' && task.series
+      ? await applyToFutureOccurrences(task, Object.keys(req.body))
+      : [];
+    if (futureOccurrences.length > 0) {
+      const populatedOccurrences = await Task.find({ _id: { $in: futureOccurrences.map(item => item._id) } })
+        .populate('assignee', 'firstName lastName username avatar')
+        .populate('reporter', 'firstName lastName username avatar')
+        .populate('project', 'name color');
+      populatedOccurrences.forEach(occurrence => {
+        req.io.to(task.project._id.toString()).emit('task-updated', {
+          task: occurrence,
+          projectId: task.project._id.toString()
+        });
+      });
+    }
+
+    const currentAssignee = task.assignee ? task.assignee.toString() : null;
+    if (currentAssignee !== previousAssignee) {
+      if (currentAssignee) {
+        notifySafely(req.io, {
+          recipients: [currentAssignee],
+          actor: req.user._id,
+          type: 'task-assigned',
+          title: `${req.user.fullName} assigned you "${task.title}"`,
+          task: task._id,
+          project: task.project._id,
+          email: { template: 'assignment', data: { actor: req.user, task, project: task.project } }
+        });
+      }
+      if (previousAssignee) {
+        notifySafely(req.io, {
+          recipients: [previousAssignee],
+          actor: req.user._id,
+          type: 'task-unassigned',
+          title: `${req.user.fullName} unassigned you from "${task.title}"`,
+          task: task._id,
+          project: task.project._id
+        });
+      }
+    }
+
+    if (task.status !== previousStatus) {
+      notifyStatusChange(req, task, previousStatus, targetState);
+      if (task.statusCategory === 'done') await advanceRecurrence(req, task);
+    }
+
     res.json({
       message: 'Task updated successfully',
-      task: updatedTask
+      task: updatedTask,
+      updatedOccurrences: task.series ? futureOccurrences.length : undefined,
+      warnings: wip ? [wip.message] : undefined
     });
 
   } catch (error) {
@@ -240,33 +562,195 @@ router.put('/:id', auth, [
   }
 });
 
-// @route   DELETE /api/tasks/:id
-// @desc    Delete task
+// @route   POST /api/tasks/:id/move
+// @desc    Move a task to a board column and position in one update
 // @access  Private
-router.delete('/:id', auth, async (req, res) => {
+router.post('/:id/move', auth, [
+  body('status').optional().isString().trim().notEmpty().withMessage('Status cannot be empty'),
+  body('afterTaskId').optional({ values: 'null' }).isMongoId().withMessage('Invalid afterTaskId'),
+  body('beforeTaskId').optional({ values: 'null' }).isMongoId().withMessage('Invalid beforeTaskId'),
+  body('overrideBlockers').optional().isBoolean().withMessage('overrideBlockers must be a boolean')
+], loadTask('edit-task'), async (req, res) => {
   try {
-    const task = await Task.findById(req.params.id).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check access (only project owner or task reporter can delete)
-    const canDelete = task.project.owner.toString() === req.user._id.toString() ||
-                     task.reporter.toString() === req.user._id.toString();
+    const task = req.task;
+    const workflow = getWorkflow(task.project);
+    const previousStatus = task.status;
+    const status = req.body.status || task.status;
+    const statusChanged = status !== previousStatus;
+    const targetState = findState(workflow, status);
 
-    if (!canDelete) {
-      return res.status(403).json({ message: 'Access denied' });
+    if (!targetState) {
+      return res.status(400).json({ message: `"${status}" is not a state of this project's workflow` });
     }
 
-    await Task.findByIdAndDelete(req.params.id);
+    if (statusChanged) {
+      const blockers = await getBlockingTasks(req, task, targetState);
+      if (blockers.length > 0) {
+        return res.status(400).json({
+          message: 'Task is blocked by unfinished tasks',
+          blockers
+        });
+      }
 
-    // Emit real-time update
-    req.io.to(task.project._id.toString()).emit('task-deleted', {
-      taskId: req.params.id,
-      projectId: task.project._id.toString()
+      const problem = checkTransition(workflow, task, previousStatus, status);
+      if (problem) {
+        return res.status(400).json(problem);
+      }
+    }
+
+    const wip = statusChanged ? await checkWipLimit(task.project, status, task._id) : null;
+    if (wip && wip.blocked) {
+      return res.status(400).json({ message: wip.message, wipLimit: wip });
+    }
+
+    // The neighbours the card was dropped between, from the client's board
+    const { afterTaskId, beforeTaskId } = req.body;
+    const neighbourIds = [afterTaskId, beforeTaskId].filter(Boolean);
+    const neighbours = await Task.find({
+      _id: { $in: neighbourIds, $ne: task._id },
+      project: task.project._id,
+      status,
+      isArchived: false
+    }).select('rank');
+
+    if (neighbours.length !== neighbourIds.length) {
+      return res.status(409).json({ message: 'The board has changed, please reload it' });
+    }
+
+    const rankOf = (id) => {
+      const neighbour = id && neighbours.find(item => item._id.toString() === id);
+      return neighbour ? neighbour.rank : null;
+    };
+
+    let rank;
+    if (!afterTaskId && !beforeTaskId) {
+      rank = await nextRank(task.project._id);
+    } else {
+      const low = rankOf(afterTaskId);
+      const high = rankOf(beforeTaskId);
+      // Neighbours with equal ranks: go right after the upper one
+      rank = low && high && low >= high ? rankBetween(low, null) : rankBetween(low, high);
+    }
+
+    const before = snapshot(task, TASK_FIELDS);
+
+    task.status = status;
+    task.rank = rank;
+    task.$locals.workflow = workflow;
+    await task.save();
+
+    const changes = diffSnapshots(before, snapshot(task, TASK_FIELDS));
+    if (changes.length > 0) {
+      await recordActivity({
+        actor: req.user._id,
+        type: 'task.updated',
+        project: task.project._id,
+        task: task._id,
+        targetName: task.title,
+        changes
+      });
+    }
+
+    req.io.to(task.project._id.toString()).emit('task-moved', {
+      projectId: task.project._id.toString(),
+      taskId: task._id.toString(),
+      from: previousStatus,
+      to: status,
+      rank,
+      afterTaskId: afterTaskId || null,
+      beforeTaskId: beforeTaskId || null,
+      movedBy: req.user._id.toString()
+    });
+
+    if (statusChanged) {
+      notifyStatusChange(req, task, previousStatus, targetState);
+      if (task.statusCategory === 'done') await advanceRecurrence(req, task);
+    }
+
+    res.json({
+      message: 'Task moved successfully',
+      task: {
+        _id: task._id,
+        status: task.status,
+        statusCategory: task.statusCategory,
+        rank: task.rank,
+        completedAt: task.completedAt
+      },
+      warnings: wip ? [wip.message] : undefined
     });
 
-    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    console.error('Move task error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id
+// @desc    Delete task (`?scope=future` also ends its recurring series)
+// @access  Private
+router.delete('/:id', auth, [
+  query('scope').optional().isIn(['this', 'future']).withMessage('Scope must be "this" or "future"')
+], loadTask('delete-task'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    // Deleting all future occurrences stops the series and removes the later
+    // occurrences that are still open
+    const series = req.query.scope === 'future' && task.series
+      ? await TaskSeries.findById(task.series)
+      : null;
+    const later = series
+      ? await Task.find({ series: series._id, occurrence: { $gt: task.occurrence }, statusCategory: { $ne: 'done' } })
+      : [];
+    if (series) await stopSeries(series);
+
+    const deleted = [task, ...later];
+    const deletedIds = deleted.map(item => item._id);
+
+    await Task.deleteMany({ _id: { $in: deletedIds } });
+
+    // Drop dangling dependency links on other tasks
+    await Task.updateMany(
+      { 'dependencies.task': { $in: deletedIds } },
+      { $pull: { dependencies: { task: { $in: deletedIds } } } }
+    );
+
+    await removeStoredFiles(deleted.flatMap(getTaskAttachmentKeys));
+
+    for (const item of deleted) {
+      await recordActivity({
+        actor: req.user._id,
+        type: 'task.deleted',
+        project: task.project._id,
+        task: item._id,
+        targetName: item.title,
+        data: snapshot(item, TASK_FIELDS)
+      });
+
+      // Emit real-time update
+      req.io.to(task.project._id.toString()).emit('task-deleted', {
+        taskId: item._id.toString(),
+        projectId: task.project._id.toString()
+      });
+    }
+
+    // Skipping an occurrence of a series that generates on completion moves it on
+    if (!series) await advanceRecurrence(req, task);
+
+    res.json({
+      message: 'Task deleted successfully',
+      deletedOccurrences: series ? deleted.length : undefined
+    });
 
   } catch (error) {
     console.error('Delete task error:', error);
@@ -275,50 +759,88 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   POST /api/tasks/:id/comments
-// @desc    Add comment to task
+// @desc    Add comment or reply to task
 // @access  Private
 router.post('/:id/comments', auth, [
   body('content').notEmpty().trim().withMessage('Comment content is required')
-], async (req, res) => {
+    .isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Invalid parent comment ID')
+], loadTask('comment'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const task = await Task.findById(req.params.id).populate('project');
-    if (!task) {
-      return res.status(404).json({ message: 'Task not found' });
-    }
+    const task = req.task;
 
-    // Check access
-    const hasAccess = task.project.owner.toString() === req.user._id.toString() ||
-                     task.project.members.some(member => member.user.toString() === req.user._id.toString());
+    if (task.project.settings && task.project.settings.allowComments === false) {
+      return res.status(403).json({ message: 'Comments are disabled for this project' });
+    }
 
-    if (!hasAccess) {
-      return res.status(403).json({ message: 'Access denied' });
+    let parentComment = null;
+    if (req.body.parent) {
+      parentComment = task.comments.id(req.body.parent);
+      if (!parentComment) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
     }
 
+    const mentioned = await resolveMentions(req.body.content, task.project);
+
     const comment = {
       author: req.user._id,
-      content: req.body.content
+      content: req.body.content,
+      parent: parentComment ? parentComment._id : null,
+      mentions: mentioned.map(user => user._id)
     };
 
     task.comments.push(comment);
+    task.watchers.addToSet(req.user._id);
     await task.save();
 
     const updatedTask = await Task.findById(task._id)
-      .populate('comments.author', 'firstName lastName username avatar');
+      .populate('comments.author', 'firstName lastName username avatar')
+      .populate('comments.mentions', 'firstName lastName username');
 
     const newComment = updatedTask.comments[updatedTask.comments.length - 1];
 
+    await recordActivity({
+      actor: req.user._id,
+      type: 'comment.added',
+      project: task.project._id,
+      task: task._id,
+      targetName: task.title,
+      data: { commentId: newComment._id, parent: comment.parent, content: req.body.content }
+    });
+
     // Emit real-time update
-    req.io.to(task.project._id.toString()).emit('comment-added', {
+    emitToTask(req.io, task, 'comment-added', {
       taskId: task._id,
       comment: newComment,
       projectId: task.project._id.toString()
     });
 
+    // Mentioned members get a mention instead of the generic comment notification
+    const mentionedIds = mentioned.map(user => user._id.toString());
+    notifyMentions(req, task, mentionedIds, newComment);
+
+    const recipients = getTaskAudience(task);
+    if (parentComment) recipients.push(parentComment.author.toString());
+
+    notifySafely(req.io, {
+      recipients: recipients.filter(id => !mentionedIds.includes(id)),
+      actor: req.user._id,
+      type: 'comment',
+      title: parentComment
+        ? `${req.user.fullName} replied on "${task.title}"`
+        : `${req.user.fullName} commented on "${task.title}"`,
+      message: req.body.content.slice(0, 500),
+      task: task._id,
+      project: task.project._id,
+      data: { commentId: newComment._id, parent: comment.parent }
+    });
+
     res.status(201).json({
       message: 'Comment added successfully',
       comment: newComment
@@ -330,13 +852,1151 @@ router.post('/:id/comments', auth, [
   }
 });
 
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private
+router.put('/:id/comments/:commentId', auth, [
+  body('content').notEmpty().trim().withMessage('Comment content is required')
+    .isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], loadTask('comment'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Only the author can edit their comment
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the comment author can edit this comment' });
+    }
+
+    const previousContent = comment.content;
+    const previousMentions = comment.mentions.map(id => id.toString());
+    const mentioned = await resolveMentions(req.body.content, task.project);
+
+    comment.content = req.body.content;
+    comment.mentions = mentioned.map(user => user._id);
+    comment.isEdited = true;
+    comment.editedAt = new Date();
+
+    await task.save();
+
+    const updatedTask = await Task.findById(task._id)
+      .populate('comments.author', 'firstName lastName username avatar')
+      .populate('comments.mentions', 'firstName lastName username');
+
+    const updatedComment = updatedTask.comments.id(comment._id);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'comment.edited',
+      project: task.project._id,
+      task: task._id,
+      targetName: task.title,
+      changes: [{ field: 'content', from: previousContent, to: comment.content }],
+      data: { commentId: comment._id }
+    });
+
+    emitToTask(req.io, task, 'comment-updated', {
+      taskId: task._id,
+      comment: updatedComment,
+      projectId: task.project._id.toString()
+    });
+
+    // Only people newly mentioned by the edit are notified
+    const newlyMentioned = mentioned
+      .map(user => user._id.toString())
+      .filter(id => !previousMentions.includes(id));
+    notifyMentions(req, task, newlyMentioned, updatedComment);
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment: updatedComment
+    });
+
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment
+// @access  Private
+router.delete('/:id/comments/:commentId', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    // Authors can delete their own comments; project owners and admins can moderate
+    const isAuthor = comment.author.toString() === req.user._id.toString() && can(req.projectRole, 'comment');
+
+    if (!isAuthor && !can(req.projectRole, 'moderate-comments')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const deletedContent = comment.content;
+    const commentAuthor = comment.author;
+    const attachmentKeys = comment.attachments.map(attachment => attachment.key).filter(Boolean);
+    const hasReplies = task.comments.some(item =>
+      item.parent && item.parent.toString() === comment._id.toString()
+    );
+
+    // Keep a placeholder when replies exist so the thread stays intact
+    if (hasReplies) {
+      comment.isDeleted = true;
+      comment.deletedAt = new Date();
+      comment.content = '';
+      comment.attachments = [];
+      comment.mentions = [];
+      comment.reactions = [];
+    } else {
+      comment.deleteOne();
+    }
+
+    await task.save();
+    await removeStoredFiles(attachmentKeys);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'comment.deleted',
+      project: task.project._id,
+      task: task._id,
+      targetName: task.title,
+      data: { commentId: req.params.commentId, author: commentAuthor, content: deletedContent }
+    });
+
+    emitToTask(req.io, task, 'comment-deleted', {
+      taskId: task._id,
+      commentId: req.params.commentId,
+      placeholder: hasReplies,
+      projectId: task.project._id.toString()
+    });
+
+    res.json({ message: 'Comment deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/comments/:commentId/reactions
+// @desc    Add an emoji reaction to a comment
+// @access  Private
+router.post('/:id/comments/:commentId/reactions', auth, [
+  body('emoji').notEmpty().trim().withMessage('Emoji is required')
+    .isLength({ max: 16 }).withMessage('Reaction cannot exceed 16 characters')
+], loadTask('comment'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    if (task.project.settings && task.project.settings.allowComments === false) {
+      return res.status(403).json({ message: 'Comments are disabled for this project' });
+    }
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    let reaction = comment.reactions.find(item => item.emoji === req.body.emoji);
+    if (!reaction) {
+      comment.reactions.push({ emoji: req.body.emoji, users: [] });
+      reaction = comment.reactions[comment.reactions.length - 1];
+    }
+    reaction.users.addToSet(req.user._id);
+
+    await task.save();
+
+    emitToTask(req.io, task, 'comment-reaction', {
+      taskId: task._id,
+      commentId: comment._id,
+      reactions: comment.reactions,
+      projectId: task.project._id.toString()
+    });
+
+    res.json({
+      message: 'Reaction added',
+      reactions: comment.reactions
+    });
+
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId/reactions/:emoji
+// @desc    Remove your emoji reaction from a comment
+// @access  Private
+router.delete('/:id/comments/:commentId/reactions/:emoji', auth, loadTask('comment'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const comment = task.comments.id(req.params.commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const reaction = comment.reactions.find(item => item.emoji === req.params.emoji);
+    if (!reaction) {
+      return res.status(404).json({ message: 'Reaction not found' });
+    }
+
+    reaction.users.pull(req.user._id);
+    if (reaction.users.length === 0) {
+      reaction.deleteOne();
+    }
+
+    await task.save();
+
+    emitToTask(req.io, task, 'comment-reaction', {
+      taskId: task._id,
+      commentId: comment._id,
+      reactions: comment.reactions,
+      projectId: task.project._id.toString()
+    });
+
+    res.json({
+      message: 'Reaction removed',
+      reactions: comment.reactions
+    });
+
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/history
+// @desc    Get change history for a task
+// @access  Private
+router.get('/:id/history', auth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID')
+], loadTask('view'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = buildActivityFilter({ task: task._id }, req.query);
+
+    const activities = await Activity.find(filter)
+      .populate('actor', 'firstName lastName username avatar')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Activity.countDocuments(filter);
+
+    res.json({
+      activities,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/:id/recurrence
+// @desc    Get the recurring series of a task with its upcoming dates
+// @access  Private
+router.get('/:id/recurrence', auth, loadTask('view'), async (req, res) => {
+  try {
+    const series = req.task.series ? await TaskSeries.findById(req.task.series) : null;
+    if (!series) {
+      return res.status(404).json({ message: 'Task does not recur' });
+    }
+
+    res.json({
+      series,
+      upcoming: series.isActive ? upcomingDates(series) : []
+    });
+
+  } catch (error) {
+    console.error('Get recurrence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/recurrence
+// @desc    Make a task recur, or change the rule of its series for future occurrences
+// @access  Private
+router.put('/:id/recurrence', auth, [
+  body('rule').exists().withMessage('A recurrence rule is required'),
+  body('generate').optional().isIn(['on-completion', 'on-schedule']).withMessage('generate must be "on-completion" or "on-schedule"'),
+  body('leadDays').optional().isInt({ min: 0, max: 365 }).withMessage('leadDays must be between 0 and 365'),
+  body('copy').optional().isObject().withMessage('copy must be an object')
+], loadTask('edit-task'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+    const existing = task.series ? await TaskSeries.findById(task.series) : null;
+    const previousRule = existing ? existing.toObject().rule : null;
+
+    let series;
+    if (existing) {
+      series = await updateSeries(existing, req.body);
+    } else {
+      series = await buildSeries(task, req.body, req.user);
+      await task.save();
+      await series.save();
+    }
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'task.updated',
+      project: task.project._id,
+      task: task._id,
+      targetName: task.title,
+      changes: [{ field: 'recurrence', from: previousRule, to: series.toObject().rule }],
+      data: { seriesId: series._id }
+    });
+
+    req.io.to(task.project._id.toString()).emit('recurrence-updated', {
+      projectId: task.project._id.toString(),
+      taskId: task._id.toString(),
+      series
+    });
+
+    res.json({
+      message: existing ? 'Recurrence updated successfully' : 'Task now recurs',
+      series,
+      upcoming: series.isActive ? upcomingDates(series) : []
+    });
+
+  } catch (error) {
+    if (error.name === 'RecurrenceError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update recurrence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/recurrence
+// @desc    Stop a recurring series; existing occurrences are kept
+// @access  Private
+router.delete('/:id/recurrence', auth, loadTask('edit-task'), async (req, res) => {
+  try {
+    const task = req.task;
+    const series = task.series ? await TaskSeries.findById(task.series) : null;
+    if (!series || !series.isActive) {
+      return res.status(404).json({ message: 'Task does not recur' });
+    }
+
+    await stopSeries(series);
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'task.updated',
+      project: task.project._id,
+      task: task._id,
+      targetName: task.title,
+      changes: [{ field: 'recurrence', from: series.toObject().rule, to: null }],
+      data: { seriesId: series._id }
+    });
+
+    req.io.to(task.project._id.toString()).emit('recurrence-updated', {
+      projectId: task.project._id.toString(),
+      taskId: task._id.toString(),
+      series
+    });
+
+    res.json({ message: 'Recurrence stopped', series });
+
+  } catch (error) {
+    console.error('Stop recurrence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/archive
+// @desc    Archive a task
+// @access  Private
+router.post('/:id/archive', auth, loadTask('edit-task'), async (req, res) => {
+  try {
+    const task = req.task;
+    if (task.isArchived) {
+      return res.status(400).json({ message: 'Task is already archived' });
+    }
+
+    archiveTask(task);
+    await task.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'task.archived',
+      project: task.project._id,
+      task: task._id,
+      targetName: task.title
+    });
+
+    req.io.to(task.project._id.toString()).emit('task-archived', {
+      taskId: task._id.toString(),
+      isArchived: true,
+      projectId: task.project._id.toString()
+    });
+
+    // Archiving the open occurrence of a recurring task moves the series on
+    await advanceRecurrence(req, task);
+
+    const archivedTask = await Task.findById(task._id)
+      .populate('assignee', 'firstName lastName username avatar')
+      .populate('reporter', 'firstName lastName username avatar')
+      .populate('project', 'name color');
+
+    res.json({
+      message: 'Task archived successfully',
+      task: archivedTask
+    });
+
+  } catch (error) {
+    console.error('Archive task error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/unarchive
+// @desc    Unarchive a task back into its board column
+// @access  Private
+router.post('/:id/unarchive', auth, loadTask('edit-task'), async (req, res) => {
+  try {
+    const task = req.task;
+    if (!task.isArchived) {
+      return res.status(400).json({ message: 'Task is not archived' });
+    }
+    if (task.project.isArchived) {
+      return res.status(400).json({ message: 'Unarchive the project first' });
+    }
+
+    const wip = await checkWipLimit(task.project, task.status, task._id);
+    if (wip && wip.blocked) {
+      return res.status(400).json({ message: wip.message, wipLimit: wip });
+    }
+
+    unarchiveTask(task);
+    await task.save();
+
+    await recordActivity({
+      actor: req.user._id,
+      type: 'task.unarchived',
+      project: task.project._id,
+      task: task._id,
+      targetName: task.title
+    });
+
+    const updatedTask = await Task.findById(task._id)
+      .populate('assignee', 'firstName lastName username avatar')
+      .populate('reporter', 'firstName lastName username avatar')
+      .populate('project', 'name color');
+
+    req.io.to(task.project._id.toString()).emit('task-archived', {
+      taskId: task._id.toString(),
+      isArchived: false,
+      task: updatedTask,
+      projectId: task.project._id.toString()
+    });
+
+    res.json({
+      message: 'Task unarchived successfully',
+      task: updatedTask,
+      warnings: wip ? [wip.message] : undefined
+    });
+
+  } catch (error) {
+    console.error('Unarchive task error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/watch
+// @desc    Watch a task
+// @access  Private
+router.post('/:id/watch', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    task.watchers.addToSet(req.user._id);
+    await task.save();
+
+    emitToTask(req.io, task, 'watchers-updated', {
+      taskId: task._id,
+      watchers: task.watchers,
+      projectId: task.project._id.toString()
+    });
+
+    res.json({
+      message: 'You are now watching this task',
+      watchers: task.watchers
+    });
+
+  } catch (error) {
+    console.error('Watch task error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/watch
+// @desc    Stop watching a task
+// @access  Private
+router.delete('/:id/watch', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    // Notify the remaining watchers and the leaving user before they drop off the list
+    emitToTask(req.io, task, 'watchers-updated', {
+      taskId: task._id,
+      watchers: task.watchers.filter(id => id.toString() !== req.user._id.toString()),
+      projectId: task.project._id.toString()
+    });
+
+    task.watchers.pull(req.user._id);
+    await task.save();
+
+    res.json({
+      message: 'You are no longer watching this task',
+      watchers: task.watchers
+    });
+
+  } catch (error) {
+    console.error('Unwatch task error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/subtasks
+// @desc    Add subtask to task
+// @access  Private
+router.post('/:id/subtasks', auth, [
+  body('title').notEmpty().trim().withMessage('Subtask title is required')
+    .isLength({ max: 100 }).withMessage('Subtask title cannot exceed 100 characters')
+], loadTask('edit-task'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    task.subtasks.push({ title: req.body.title });
+    const subtask = task.subtasks[task.subtasks.length - 1];
+
+    syncSubtaskProgress(task);
+    await task.save();
+
+    emitSubtaskUpdate(req, task, 'created', subtask._id);
+
+    res.status(201).json({
+      message: 'Subtask added successfully',
+      subtask,
+      subtaskProgress: task.subtaskProgress,
+      progress: task.progress
+    });
+
+  } catch (error) {
+    console.error('Add subtask error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/subtasks/reorder
+// @desc    Reorder subtasks
+// @access  Private
+router.put('/:id/subtasks/reorder', auth, [
+  body('order').isArray({ min: 1 }).withMessage('Order must be a non-empty array of subtask IDs'),
+  body('order.*').isMongoId().withMessage('Invalid subtask ID')
+], loadTask('edit-task'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    // The new order must list every existing subtask exactly once
+    const { order } = req.body;
+    const uniqueIds = new Set(order);
+    const isCompleteOrder = uniqueIds.size === order.length &&
+                            order.length === task.subtasks.length &&
+                            order.every(id => task.subtasks.id(id));
+
+    if (!isCompleteOrder) {
+      return res.status(400).json({ message: 'Order must contain each subtask ID exactly once' });
+    }
+
+    task.subtasks = order.map(id => task.subtasks.id(id).toObject());
+    await task.save();
+
+    emitSubtaskUpdate(req, task, 'reordered');
+
+    res.json({
+      message: 'Subtasks reordered successfully',
+      subtasks: task.subtasks
+    });
+
+  } catch (error) {
+    console.error('Reorder subtasks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/subtasks/:subtaskId
+// @desc    Rename or toggle a subtask
+// @access  Private
+router.put('/:id/subtasks/:subtaskId', auth, [
+  body('title').optional().notEmpty().trim().withMessage('Subtask title cannot be empty')
+    .isLength({ max: 100 }).withMessage('Subtask title cannot exceed 100 characters'),
+  body('completed').optional().isBoolean().withMessage('Completed must be a boolean')
+], loadTask('edit-task'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+
+    if (req.body.title !== undefined) {
+      subtask.title = req.body.title;
+    }
+
+    // Completion metadata is always stamped server-side
+    if (req.body.completed !== undefined) {
+      const completed = req.body.completed === true || req.body.completed === 'true';
+      if (completed && !subtask.completed) {
+        subtask.completed = true;
+        subtask.completedAt = new Date();
+        subtask.completedBy = req.user._id;
+      } else if (!completed && subtask.completed) {
+        subtask.completed = false;
+        subtask.completedAt = undefined;
+        subtask.completedBy = undefined;
+      }
+    }
+
+    syncSubtaskProgress(task);
+    await task.save();
+
+    emitSubtaskUpdate(req, task, 'updated', subtask._id);
+
+    res.json({
+      message: 'Subtask updated successfully',
+      subtask,
+      subtaskProgress: task.subtaskProgress,
+      progress: task.progress
+    });
+
+  } catch (error) {
+    console.error('Update subtask error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/subtasks/:subtaskId
+// @desc    Delete a subtask
+// @access  Private
+router.delete('/:id/subtasks/:subtaskId', auth, loadTask('edit-task'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const subtask = task.subtasks.id(req.params.subtaskId);
+    if (!subtask) {
+      return res.status(404).json({ message: 'Subtask not found' });
+    }
+
+    subtask.deleteOne();
+
+    syncSubtaskProgress(task);
+    await task.save();
+
+    emitSubtaskUpdate(req, task, 'deleted', req.params.subtaskId);
+
+    res.json({
+      message: 'Subtask deleted successfully',
+      subtaskProgress: task.subtaskProgress,
+      progress: task.progress
+    });
+
+  } catch (error) {
+    console.error('Delete subtask error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tasks/timer/active
+// @desc    Get the current user's running timer
+// @access  Private
+router.get('/timer/active', auth, async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      timeTracking: { $elemMatch: { user: req.user._id, endTime: null } }
+    }).populate('project', 'name color');
+
+    if (!task) {
+      return res.json({ active: false });
+    }
+
+    const entry = task.timeTracking.find(item =>
+      item.user.toString() === req.user._id.toString() && !item.endTime
+    );
+
+    res.json({
+      active: true,
+      task: { _id: task._id, title: task.title, project: task.project },
+      entry,
+      elapsedMinutes: minutesBetween(entry.startTime, new Date())
+    });
+
+  } catch (error) {
+    console.error('Get active timer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/timer/start
+// @desc    Start a timer on a task
+// @access  Private
+router.post('/:id/timer/start', auth, [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+], loadTask('log-time'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    // Only one running timer per user across all tasks
+    const runningTask = await Task.findOne({
+      timeTracking: { $elemMatch: { user: req.user._id, endTime: null } }
+    }).select('_id title');
+
+    if (runningTask) {
+      return res.status(400).json({
+        message: 'You already have a running timer',
+        task: runningTask
+      });
+    }
+
+    const now = new Date();
+    task.timeTracking.push({
+      user: req.user._id,
+      startTime: now,
+      description: req.body.description || '',
+      date: now
+    });
+    const entry = task.timeTracking[task.timeTracking.length - 1];
+
+    await task.save();
+
+    emitTimeTrackingUpdate(req, task, 'started', entry._id);
+
+    res.status(201).json({
+      message: 'Timer started',
+      entry
+    });
+
+  } catch (error) {
+    console.error('Start timer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/timer/stop
+// @desc    Stop the current user's timer on a task
+// @access  Private
+router.post('/:id/timer/stop', auth, [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+], loadTask('view'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    const entry = task.timeTracking.find(item =>
+      item.user.toString() === req.user._id.toString() && !item.endTime
+    );
+
+    if (!entry) {
+      return res.status(400).json({ message: 'No running timer on this task' });
+    }
+
+    entry.endTime = new Date();
+    entry.duration = minutesBetween(entry.startTime, entry.endTime);
+    if (req.body.description !== undefined) {
+      entry.description = req.body.description;
+    }
+
+    task.recalculateActualHours();
+    await task.save();
+
+    emitTimeTrackingUpdate(req, task, 'stopped', entry._id);
+
+    res.json({
+      message: 'Timer stopped',
+      entry,
+      actualHours: task.actualHours
+    });
+
+  } catch (error) {
+    console.error('Stop timer error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/worklogs
+// @desc    Add a manual worklog entry
+// @access  Private
+router.post('/:id/worklogs', auth, [
+  body('startTime').isISO8601().withMessage('Valid start time is required'),
+  body('endTime').optional().isISO8601().withMessage('Invalid end time format'),
+  body('duration').optional().isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+], loadTask('log-time'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startTime, endTime, duration, description } = req.body;
+
+    if (!endTime && duration === undefined) {
+      return res.status(400).json({ message: 'Either endTime or duration is required' });
+    }
+
+    const start = new Date(startTime);
+    const end = endTime ? new Date(endTime) : new Date(start.getTime() + parseInt(duration) * 60000);
+
+    if (end <= start) {
+      return res.status(400).json({ message: 'End time must be after start time' });
+    }
+
+    const task = req.task;
+
+    task.timeTracking.push({
+      user: req.user._id,
+      startTime: start,
+      endTime: end,
+      duration: minutesBetween(start, end),
+      description: description || '',
+      date: start
+    });
+    const entry = task.timeTracking[task.timeTracking.length - 1];
+
+    task.recalculateActualHours();
+    await task.save();
+
+    emitTimeTrackingUpdate(req, task, 'logged', entry._id);
+
+    res.status(201).json({
+      message: 'Worklog added successfully',
+      entry,
+      actualHours: task.actualHours
+    });
+
+  } catch (error) {
+    console.error('Add worklog error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/tasks/:id/worklogs/:entryId
+// @desc    Edit a worklog entry
+// @access  Private
+router.put('/:id/worklogs/:entryId', auth, [
+  body('startTime').optional().isISO8601().withMessage('Invalid start time format'),
+  body('endTime').optional().isISO8601().withMessage('Invalid end time format'),
+  body('duration').optional().isInt({ min: 1, max: 1440 }).withMessage('Duration must be between 1 and 1440 minutes'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+], loadTask('view'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+
+    const entry = task.timeTracking.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Worklog entry not found' });
+    }
+
+    // Only the entry author or someone who can edit any task can change a worklog
+    const canEdit = (entry.user.toString() === req.user._id.toString() && can(req.projectRole, 'log-time')) ||
+                    can(req.projectRole, 'edit-any-task');
+
+    if (!canEdit) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { startTime, endTime, duration, description } = req.body;
+
+    if (!entry.endTime && (endTime || duration !== undefined)) {
+      return res.status(400).json({ message: 'Stop the running timer before changing its end time' });
+    }
+
+    if (description !== undefined) entry.description = description;
+
+    if (entry.endTime) {
+      const start = startTime ? new Date(startTime) : entry.startTime;
+      let end = entry.endTime;
+      if (endTime) {
+        end = new Date(endTime);
+      } else if (duration !== undefined) {
+        end = new Date(start.getTime() + parseInt(duration) * 60000);
+      } else if (startTime) {
+        // Moving the start keeps the logged duration
+        end = new Date(start.getTime() + entry.duration * 60000);
+      }
+
+      if (end <= start) {
+        return res.status(400).json({ message: 'End time must be after start time' });
+      }
+
+      entry.startTime = start;
+      entry.endTime = end;
+      entry.duration = minutesBetween(start, end);
+      entry.date = start;
+    } else if (startTime) {
+      entry.startTime = new Date(startTime);
+      entry.date = entry.startTime;
+    }
+
+    task.recalculateActualHours();
+    await task.save();
+
+    emitTimeTrackingUpdate(req, task, 'updated', entry._id);
+
+    res.json({
+      message: 'Worklog updated successfully',
+      entry,
+      actualHours: task.actualHours
+    });
+
+  } catch (error) {
+    console.error('Update worklog error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/worklogs/:entryId
+// @desc    Delete a worklog entry
+// @access  Private
+router.delete('/:id/worklogs/:entryId', auth, loadTask('view'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const entry = task.timeTracking.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ message: 'Worklog entry not found' });
+    }
+
+    const canDelete = (entry.user.toString() === req.user._id.toString() && can(req.projectRole, 'log-time')) ||
+                      can(req.projectRole, 'edit-any-task');
+
+    if (!canDelete) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    entry.deleteOne();
+
+    task.recalculateActualHours();
+    await task.save();
+
+    emitTimeTrackingUpdate(req, task, 'deleted', req.params.entryId);
+
+    res.json({
+      message: 'Worklog deleted successfully',
+      actualHours: task.actualHours
+    });
+
+  } catch (error) {
+    console.error('Delete worklog error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tasks/:id/dependencies
+// @desc    Link a dependency to a task
+// @access  Private
+router.post('/:id/dependencies', auth, [
+  body('taskId').isMongoId().withMessage('Valid task ID is required'),
+  body('type').optional().isIn(['blocks', 'blocked-by', 'relates-to']).withMessage('Invalid dependency type')
+], loadTask('edit-task'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { taskId, type = 'relates-to' } = req.body;
+
+    if (taskId === req.params.id) {
+      return res.status(400).json({ message: 'A task cannot depend on itself' });
+    }
+
+    const task = req.task;
+    const otherTask = await Task.findById(taskId).populate('project');
+
+    if (!otherTask) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    // The user must also be able to see the other end of the link
+    if (!can(getProjectRole(otherTask.project, req.user), 'view')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const alreadyLinked = task.dependencies.some(dep => dep.task && dep.task.toString() === taskId);
+    if (alreadyLinked) {
+      return res.status(400).json({ message: 'Tasks are already linked' });
+    }
+
+    if (type !== 'relates-to') {
+      const blocker = type === 'blocks' ? task._id : otherTask._id;
+      const blocked = type === 'blocks' ? otherTask._id : task._id;
+
+      if (await wouldCreateCycle(blocker, blocked)) {
+        return res.status(400).json({ message: 'This dependency would create a cycle' });
+      }
+    }
+
+    task.dependencies.push({ task: otherTask._id, type });
+    otherTask.dependencies.push({ task: task._id, type: INVERSE_TYPES[type] });
+
+    await Promise.all([task.save(), otherTask.save()]);
+
+    [task, otherTask].forEach(item => {
+      req.io.to(item.project._id.toString()).emit('dependency-updated', {
+        action: 'linked',
+        taskId: item._id,
+        dependencies: item.dependencies,
+        projectId: item.project._id.toString()
+      });
+    });
+
+    res.status(201).json({
+      message: 'Dependency added successfully',
+      dependencies: task.dependencies
+    });
+
+  } catch (error) {
+    console.error('Add dependency error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/tasks/:id/dependencies/:taskId
+// @desc    Unlink a dependency from a task
+// @access  Private
+router.delete('/:id/dependencies/:taskId', auth, loadTask('edit-task'), async (req, res) => {
+  try {
+    const task = req.task;
+
+    const linked = task.dependencies.some(dep => dep.task && dep.task.toString() === req.params.taskId);
+    if (!linked) {
+      return res.status(404).json({ message: 'Dependency not found' });
+    }
+
+    task.dependencies = task.dependencies.filter(dep =>
+      !dep.task || dep.task.toString() !== req.params.taskId
+    );
+    await task.save();
+
+    // Keep the inverse relation in sync on the other task
+    const otherTask = await Task.findByIdAndUpdate(
+      req.params.taskId,
+      { $pull: { dependencies: { task: task._id } } },
+      { new: true }
+    );
+
+    req.io.to(task.project._id.toString()).emit('dependency-updated', {
+      action: 'unlinked',
+      taskId: task._id,
+      dependencies: task.dependencies,
+      projectId: task.project._id.toString()
+    });
+
+    if (otherTask) {
+      req.io.to(otherTask.project.toString()).emit('dependency-updated', {
+        action: 'unlinked',
+        taskId: otherTask._id,
+        dependencies: otherTask.dependencies,
+        projectId: otherTask.project.toString()
+      });
+    }
+
+    res.json({
+      message: 'Dependency removed successfully',
+      dependencies: task.dependencies
+    });
+
+  } catch (error) {
+    console.error('Remove dependency error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/tasks/analytics/dashboard
-// @desc    Get task analytics for dashboard
+// @desc    Get task analytics for dashboard in the active organization
 // @access  Private
-router.get('/analytics/dashboard', auth, async (req, res) => {
+router.get('/analytics/dashboard', auth, resolveOrganization, async (req, res) => {
   try {
-    // Get user's accessible projects
+    // Get user's accessible projects in the active organization
     const userProjects = await Project.find({
+      organization: req.organization._id,
       $or: [
         { owner: req.user._id },
         { 'members.user': req.user._id }
@@ -371,20 +2031,21 @@ router.get('/analytics/dashboard', auth, async (req, res) => {
       project: { $in: projectIds },
       isArchived: false,
       dueDate: { $lt: new Date() },
-      status: { $ne: 'completed' }
+      statusCategory: { $ne: 'done' }
     });
 
     // Recent activity (last 7 days)
     const weekAgo = new Date();
     weekAgo.setDate(weekAgo.getDate() - 7);
 
-    const recentActivity = await Task.find({
+    const recentActivity = await Activity.find({
       project: { $in: projectIds },
-      updatedAt: { $gte: weekAgo }
+      createdAt: { $gte: weekAgo }
     })
-    .populate('assignee', 'firstName lastName')
-    .populate('project', 'name')
-    .sort({ updatedAt: -1 })
+    .populate('actor', 'firstName lastName username avatar')
+    .populate('project', 'name color')
+    .populate('task', 'title status')
+    .sort({ createdAt: -1 })
     .limit(10);
 
     res.json({
@@ -0,0 +1,256 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Template = require('../models/Template');
+const Task = require('../models/Task');
+const Organization = require('../models/Organization');
+const { auth } = require('../middleware/auth');
+const {
+  loadProject,
+  loadTask,
+  resolveOrganization,
+  getOrganizationRole,
+  canInOrganization
+} = require('../middleware/permissions');
+const {
+  MAX_TEMPLATE_TASKS,
+  templateTaskFrom,
+  projectTemplateFrom,
+  canUseTemplate,
+  canManageTemplate
+} = require('../utils/templates');
+
+const router = express.Router();
+
+const templateValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).trim().notEmpty().isLength({ max: 100 })
+    .withMessage('Template name must be 1-100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('visibility').optional().isIn(['personal', 'organization']).withMessage('Visibility must be personal or organization')
+];
+
+// Load a template the user may use in the active organization
+const loadTemplate = async (req, res, next) => {
+  try {
+    const template = mongoose.isValidObjectId(req.params.id)
+      ? await Template.findById(req.params.id)
+      : null;
+
+    if (!template || !canUseTemplate(template, req.user, req.organization._id)) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    req.template = template;
+    next();
+  } catch (error) {
+    console.error('Load template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Sharing a template with an organization takes a role there that allows it
+const canShareIn = async (organizationId, user) => {
+  const organization = await Organization.findById(organizationId);
+  return !!organization && canInOrganization(getOrganizationRole(organization, user), 'share-templates');
+};
+
+// List entry without the template's tasks
+const summarize = (template) => {
+  const { tasks, ...rest } = template.toObject();
+  return { ...rest, taskCount: tasks.length };
+};
+
+// @route   GET /api/templates
+// @desc    Get your personal templates and the active organization's templates
+// @access  Private
+router.get('/', auth, resolveOrganization, [
+  query('type').optional().isIn(['project', 'task']).withMessage('Type must be project or task')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {
+      $or: [
+        { visibility: 'personal', owner: req.user._id },
+        { visibility: 'organization', organization: req.organization._id }
+      ]
+    };
+    if (req.query.type) filter.type = req.query.type;
+
+    const templates = await Template.find(filter)
+      .populate('owner', 'firstName lastName username avatar')
+      .sort({ name: 1 });
+
+    res.json(templates.map(summarize));
+
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a template with its tasks
+// @access  Private
+router.get('/:id', auth, resolveOrganization, loadTemplate, async (req, res) => {
+  try {
+    const template = await Template.findById(req.template._id)
+      .populate('owner', 'firstName lastName username avatar')
+      .populate('project.members.user', 'firstName lastName username avatar')
+      .populate('tasks.assignee', 'firstName lastName username avatar');
+
+    res.json(template);
+
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates/projects/:projectId
+// @desc    Save a project and its tasks as a template
+// @access  Private
+router.post('/projects/:projectId', auth, loadProject('manage-project', { param: 'projectId' }), [
+  ...templateValidators(false),
+  body('includeMembers').optional().isBoolean().withMessage('includeMembers must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = req.project;
+    if (req.body.visibility === 'organization' && !(await canShareIn(project.organization, req.user))) {
+      return res.status(403).json({ message: 'You cannot share templates with this organization' });
+    }
+
+    const tasks = await Task.find({ project: project._id, isArchived: false })
+      .sort({ rank: 1, _id: 1 })
+      .limit(MAX_TEMPLATE_TASKS + 1);
+
+    if (tasks.length > MAX_TEMPLATE_TASKS) {
+      return res.status(400).json({ message: `Templates can hold at most ${MAX_TEMPLATE_TASKS} tasks` });
+    }
+
+    const template = new Template({
+      name: req.body.name,
+      description: req.body.description,
+      type: 'project',
+      visibility: req.body.visibility || 'personal',
+      organization: project.organization,
+      owner: req.user._id,
+      ...projectTemplateFrom(project, tasks, {
+        includeMembers: req.body.includeMembers === true || req.body.includeMembers === 'true'
+      })
+    });
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template saved successfully',
+      template: summarize(template)
+    });
+
+  } catch (error) {
+    console.error('Save project template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates/tasks/:taskId
+// @desc    Save a task as a template
+// @access  Private
+router.post('/tasks/:taskId', auth, loadTask('view', 'taskId'), templateValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const task = req.task;
+    if (req.body.visibility === 'organization' && !(await canShareIn(task.project.organization, req.user))) {
+      return res.status(403).json({ message: 'You cannot share templates with this organization' });
+    }
+
+    const template = new Template({
+      name: req.body.name,
+      description: req.body.description,
+      type: 'task',
+      visibility: req.body.visibility || 'personal',
+      organization: task.project.organization,
+      owner: req.user._id,
+      // The due date is kept relative to the day the task was created
+      tasks: [templateTaskFrom(task, task.createdAt)]
+    });
+    await template.save();
+
+    res.status(201).json({
+      message: 'Template saved successfully',
+      template: summarize(template)
+    });
+
+  } catch (error) {
+    console.error('Save task template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Rename a template or change its visibility
+// @access  Private
+router.put('/:id', auth, resolveOrganization, loadTemplate, templateValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = req.template;
+    if (!canManageTemplate(template, req.user, req.organization._id, req.organizationRole)) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+    if (req.body.visibility === 'organization' && template.visibility !== 'organization' &&
+        !(await canShareIn(template.organization, req.user))) {
+      return res.status(403).json({ message: 'You cannot share templates with this organization' });
+    }
+
+    ['name', 'description', 'visibility'].forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    await template.save();
+
+    res.json({
+      message: 'Template updated successfully',
+      template: summarize(template)
+    });
+
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template
+// @access  Private
+router.delete('/:id', auth, resolveOrganization, loadTemplate, async (req, res) => {
+  try {
+    const template = req.template;
+    if (!canManageTemplate(template, req.user, req.organization._id, req.organizationRole)) {
+      return res.status(403).json({ message: 'You do not have permission to do this' });
+    }
+
+    await Template.findByIdAndDelete(template._id);
+
+    res.json({ message: 'Template deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
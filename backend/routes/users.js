@@ -1,7 +1,11 @@
 const express = require('express');
-const { query } = require('express-validator');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, adminAuth } = require('../middleware/auth');
+const { revokeSessions } = require('../utils/sessions');
+const { disconnectSessions } = require('../utils/socket');
+const { getLoginHistory } = require('../utils/loginSecurity');
 
 const router = express.Router();
 
@@ -79,9 +83,9 @@ router.get('/me/stats', auth, async (req, res) => {
         $group: {
           _id: null,
           total: { $sum: 1 },
-          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } },
-          inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in-progress'] }, 1, 0] } },
-          todo: { $sum: { $cond: [{ $eq: ['$status', 'todo'] }, 1, 0] } },
+          completed: { $sum: { $cond: [{ $eq: ['$statusCategory', 'done'] }, 1, 0] } },
+          inProgress: { $sum: { $cond: [{ $eq: ['$statusCategory', 'active'] }, 1, 0] } },
+          todo: { $sum: { $cond: [{ $eq: ['$statusCategory', 'not-started'] }, 1, 0] } },
           overdue: {
             $sum: {
               $cond: [
@@ -89,7 +93,7 @@ router.get('/me/stats', auth, async (req, res) => {
                   $and: [
                     { $ne: ['$dueDate', null] },
                     { $lt: ['$dueDate', new Date()] },
-                    { $ne: ['$status', 'completed'] }
+                    { $ne: ['$statusCategory', 'done'] }
                   ]
                 },
                 1,
@@ -107,13 +111,15 @@ router.get('/me/stats', auth, async (req, res) => {
         { owner: req.user._id },
         { 'members.user': req.user._id }
       ],
-      isArchived: false
+      isArchived: false,
+      deletedAt: null
     });
 
     // Get owned projects count
     const ownedProjectsCount = await Project.countDocuments({
       owner: req.user._id,
-      isArchived: false
+      isArchived: false,
+      deletedAt: null
     });
 
     // Recent tasks assigned to user
@@ -139,7 +145,7 @@ router.get('/me/stats', auth, async (req, res) => {
       {
         $match: {
           assignee: req.user._id,
-          status: 'completed',
+          statusCategory: 'done',
           completedAt: { $gte: fourWeeksAgo }
         }
       },
@@ -176,4 +182,158 @@ router.get('/me/stats', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/timesheet
+// @desc    Get current user's logged minutes by day and project
+// @access  Private
+router.get('/me/timesheet', auth, [
+  query('from').isISO8601().withMessage('Valid from date is required'),
+  query('to').isISO8601().withMessage('Valid to date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const Task = require('../models/Task');
+
+    const from = new Date(req.query.from);
+    const to = new Date(req.query.to);
+
+    // Date-only "to" values include the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.to)) {
+      to.setUTCHours(23, 59, 59, 999);
+    }
+
+    if (to < from) {
+      return res.status(400).json({ message: 'The to date must not be before the from date' });
+    }
+
+    const rows = await Task.aggregate([
+      { $match: { 'timeTracking.user': req.user._id } },
+      { $unwind: '$timeTracking' },
+      {
+        $match: {
+          'timeTracking.user': req.user._id,
+          'timeTracking.endTime': { $ne: null },
+          'timeTracking.startTime': { $gte: from, $lte: to }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$timeTracking.startTime' } },
+            project: '$project'
+          },
+          minutes: { $sum: '$timeTracking.duration' },
+          entries: { $sum: 1 }
+        }
+      },
+      { $lookup: { from: 'projects', localField: '_id.project', foreignField: '_id', as: 'project' } },
+      { $unwind: { path: '$project', preserveNullAndEmptyArrays: true } },
+      { $sort: { '_id.day': 1 } }
+    ]);
+
+    const days = [];
+    const projectTotals = {};
+    let totalMinutes = 0;
+
+    rows.forEach(row => {
+      let day = days.find(item => item.date === row._id.day);
+      if (!day) {
+        day = { date: row._id.day, totalMinutes: 0, projects: [] };
+        days.push(day);
+      }
+
+      const projectId = row._id.project.toString();
+      const projectName = row.project ? row.project.name : null;
+
+      day.projects.push({ project: projectId, name: projectName, minutes: row.minutes, entries: row.entries });
+      day.totalMinutes += row.minutes;
+
+      if (!projectTotals[projectId]) {
+        projectTotals[projectId] = { project: projectId, name: projectName, minutes: 0 };
+      }
+      projectTotals[projectId].minutes += row.minutes;
+      totalMinutes += row.minutes;
+    });
+
+    res.json({
+      from,
+      to,
+      days,
+      projects: Object.values(projectTotals),
+      totalMinutes,
+      totalHours: Math.round((totalMinutes / 60) * 100) / 100
+    });
+
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/users/:id/login-history
+// @desc    Get a user's recent login attempts
+// @access  Private (Admin)
+router.get('/:id/login-history', adminAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select('username lockUntil failedLoginAttempts lockCount lastLogin')
+      : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      user: {
+        _id: user._id,
+        username: user.username,
+        lastLogin: user.lastLogin,
+        lockUntil: user.lockUntil,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lockCount: user.lockCount
+      },
+      ...(await getLoginHistory(user._id, req.query))
+    });
+
+  } catch (error) {
+    console.error('Get user login history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/users/:id/2fa
+// @desc    Reset a user's two-factor authentication (e.g. lost device)
+// @access  Private (Admin)
+router.delete('/:id/2fa', adminAuth, async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    // Sessions may live on the lost device, so sign the user out everywhere
+    const revoked = await revokeSessions({ user: user._id }, 'revoked');
+    disconnectSessions(req.io, revoked);
+
+    res.json({ message: 'Two-factor authentication has been reset' });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -12,6 +12,17 @@ const authRoutes = require('./routes/auth');
 const taskRoutes = require('./routes/tasks');
 const projectRoutes = require('./routes/projects');
 const userRoutes = require('./routes/users');
+const attachmentRoutes = require('./routes/attachments');
+const bulkTaskRoutes = require('./routes/bulkTasks');
+const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
+const inviteRoutes = require('./routes/invites');
+const organizationRoutes = require('./routes/organizations');
+const sprintRoutes = require('./routes/sprints');
+const templateRoutes = require('./routes/templates');
+const { initSocket } = require('./utils/socket');
+const { startJobs } = require('./jobs');
+const { runMigrations } = require('./utils/migrations');
 
 const app = express();
 const server = createServer(app);
@@ -50,38 +61,15 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/taskmanag
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  runMigrations().catch(err => console.error('❌ Migration error:', err));
+  startJobs(io);
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
-
-  // Join project rooms
-  socket.on('join-project', (projectId) => {
-    socket.join(projectId);
-    console.log(`User ${socket.id} joined project ${projectId}`);
-  });
-
-  // Handle task updates
-  socket.on('task-updated', (data) => {
-    socket.to(data.projectId).emit('task-updated', data);
-  });
-
-  // Handle new tasks
-  socket.on('task-created', (data) => {
-    socket.to(data.projectId).emit('task-created', data);
-  });
-
-  // Handle comments
-  socket.on('comment-added', (data) => {
-    socket.to(data.projectId).emit('comment-added', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('👤 User disconnected:', socket.id);
-  });
-});
+// Socket.IO connection handling (authenticated, server-verified rooms)
+initSocket(io);
 
 // Make io accessible to routes
 app.use((req, res, next) => {
@@ -92,8 +80,16 @@ app.use((req, res, next) => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/tasks', attachmentRoutes);
+app.use('/api/tasks', bulkTaskRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/projects', sprintRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
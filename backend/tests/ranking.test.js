@@ -0,0 +1,81 @@
+const { rankBetween, rankAfter } = require('../utils/ranking');
+
+const expectOrdered = (ranks) => {
+  ranks.slice(1).forEach((rank, index) => {
+    expect(ranks[index] < rank).toBe(true);
+  });
+};
+
+describe('rankBetween', () => {
+  it('starts an empty list in the middle of the range', () => {
+    expect(rankBetween(null, null)).toBe('i');
+  });
+
+  it('returns a rank strictly between its neighbours', () => {
+    const pairs = [['a', 'b'], ['a', 'a1'], ['az', 'b'], ['0', '1'], ['i', 'i0001'], ['hzzz', 'i']];
+
+    pairs.forEach(([before, after]) => {
+      const rank = rankBetween(before, after);
+      expect(before < rank && rank < after).toBe(true);
+    });
+  });
+
+  it('ranks before the first and after the last card', () => {
+    expect(rankBetween(null, 'i') < 'i').toBe(true);
+    expect(rankBetween('i', null) > 'i').toBe(true);
+    expect(rankBetween(null, '0001') < '0001').toBe(true);
+    expect(rankBetween('zzzz', null) > 'zzzz').toBe(true);
+  });
+
+  it('keeps order when cards are dropped into the same gap again and again', () => {
+    const ranks = ['a', 'b'];
+    for (let i = 0; i < 50; i += 1) {
+      ranks.splice(1, 0, rankBetween(ranks[0], ranks[1]));
+    }
+
+    expectOrdered(ranks);
+    expect(new Set(ranks).size).toBe(ranks.length);
+  });
+
+  it('keeps order when cards are always dropped at the top', () => {
+    const ranks = ['i'];
+    for (let i = 0; i < 50; i += 1) {
+      ranks.unshift(rankBetween(null, ranks[0]));
+    }
+
+    expectOrdered(ranks);
+  });
+});
+
+describe('rankAfter', () => {
+  it('starts an empty list like rankBetween', () => {
+    expect(rankAfter(null)).toBe(rankBetween(null, null));
+  });
+
+  it('steps by the smallest digit of a four-digit rank', () => {
+    expect(rankAfter('i')).toBe('i001');
+    expect(rankAfter('i001')).toBe('i002');
+    expect(rankAfter('i00z')).toBe('i01');
+  });
+
+  it('stays short and ordered over many appends', () => {
+    const ranks = [rankAfter(null)];
+    for (let i = 0; i < 1000; i += 1) {
+      ranks.push(rankAfter(ranks[ranks.length - 1]));
+    }
+
+    expectOrdered(ranks);
+    expect(Math.max(...ranks.map(rank => rank.length))).toBeLessThanOrEqual(4);
+  });
+
+  it('falls back to rankBetween when every digit is at its maximum', () => {
+    const rank = rankAfter('zzzz');
+    expect(rank > 'zzzz').toBe(true);
+  });
+
+  it('leaves room for a card between the last two', () => {
+    const last = rankAfter('i');
+    const middle = rankBetween('i', last);
+    expect('i' < middle && middle < last).toBe(true);
+  });
+});
\ No newline at end of file
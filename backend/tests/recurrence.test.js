@@ -0,0 +1,179 @@
+const { parseRRule, normalizeRule, nextOccurrenceDate, upcomingDates } = require('../utils/recurrence');
+
+const utc = (value) => new Date(`${value}Z`);
+
+// Occurrence dates of a rule from its start, each one after the last
+const occurrences = (rule, start, count) => {
+  const dates = [];
+  let after = start;
+  for (let i = 0; i < count; i += 1) {
+    after = nextOccurrenceDate(rule, start, after);
+    dates.push(after && after.toISOString());
+  }
+  return dates;
+};
+
+describe('parseRRule', () => {
+  it('reads the supported RRULE parts', () => {
+    expect(parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5')).toEqual({
+      frequency: 'weekly',
+      interval: 2,
+      byWeekday: [1, 3],
+      count: 5
+    });
+    expect(parseRRule('FREQ=MONTHLY;BYMONTHDAY=-1')).toEqual({ frequency: 'monthly', byMonthDay: -1 });
+  });
+
+  it('reads UNTIL as a date or a UTC date-time', () => {
+    expect(parseRRule('FREQ=DAILY;UNTIL=20260131').until).toEqual(utc('2026-01-31T23:59:59'));
+    expect(parseRRule('FREQ=DAILY;UNTIL=20260131T120000Z').until).toEqual(utc('2026-01-31T12:00:00'));
+  });
+
+  it('rejects unsupported parts and values', () => {
+    expect(() => parseRRule('FREQ=DAILY;BYHOUR=9')).toThrow('Unsupported recurrence rule part "BYHOUR"');
+    expect(() => parseRRule('FREQ=WEEKLY;BYDAY=1MO')).toThrow('Unsupported BYDAY value "1MO"');
+    expect(() => parseRRule('FREQ=DAILY;UNTIL=tomorrow')).toThrow('Invalid UNTIL value');
+  });
+});
+
+describe('normalizeRule', () => {
+  it('defaults the interval to 1 and sorts weekdays', () => {
+    expect(normalizeRule({ frequency: 'WEEKLY', byWeekday: [5, 1, 5] })).toEqual({
+      frequency: 'weekly',
+      interval: 1,
+      byWeekday: [1, 5]
+    });
+  });
+
+  it('accepts RRULE strings', () => {
+    expect(normalizeRule('FREQ=DAILY;INTERVAL=3;COUNT=10')).toEqual({ frequency: 'daily', interval: 3, count: 10 });
+  });
+
+  it.each([
+    [{ frequency: 'hourly' }, 'Frequency must be one of'],
+    [{ frequency: 'daily', interval: 0 }, 'Interval must be a whole number'],
+    [{ frequency: 'daily', interval: 1.5 }, 'Interval must be a whole number'],
+    [{ frequency: 'monthly', byWeekday: [1] }, 'byWeekday'],
+    [{ frequency: 'weekly', byMonthDay: 3 }, 'byMonthDay'],
+    [{ frequency: 'monthly', byMonthDay: 0 }, 'byMonthDay'],
+    [{ frequency: 'daily', count: 3, until: '2026-02-01' }, 'not both'],
+    [{ frequency: 'daily', count: 0 }, 'Count must be'],
+    [{ frequency: 'daily', until: 'someday' }, 'Invalid end date']
+  ])('rejects %j', (rule, message) => {
+    expect(() => normalizeRule(rule)).toThrow(message);
+  });
+
+  it('throws RecurrenceError so routes can answer with a 400', () => {
+    expect.assertions(1);
+    try {
+      normalizeRule({ frequency: 'daily', interval: -1 });
+    } catch (error) {
+      expect(error.name).toBe('RecurrenceError');
+    }
+  });
+});
+
+describe('nextOccurrenceDate', () => {
+  it('steps daily rules by their interval, keeping the time of day', () => {
+    expect(occurrences({ frequency: 'daily', interval: 3 }, utc('2026-01-01T09:00:00'), 3)).toEqual([
+      '2026-01-04T09:00:00.000Z',
+      '2026-01-07T09:00:00.000Z',
+      '2026-01-10T09:00:00.000Z'
+    ]);
+  });
+
+  it('skips the weeks between intervals for weekly rules with weekdays', () => {
+    // 2026-01-05 is a Monday
+    const rule = { frequency: 'weekly', interval: 2, byWeekday: [1, 3] };
+    expect(occurrences(rule, utc('2026-01-05T09:00:00'), 4)).toEqual([
+      '2026-01-07T09:00:00.000Z',
+      '2026-01-19T09:00:00.000Z',
+      '2026-01-21T09:00:00.000Z',
+      '2026-02-02T09:00:00.000Z'
+    ]);
+  });
+
+  it('uses the start weekday for weekly rules without weekdays', () => {
+    expect(occurrences({ frequency: 'weekly', interval: 1 }, utc('2026-01-08T00:00:00'), 2)).toEqual([
+      '2026-01-15T00:00:00.000Z',
+      '2026-01-22T00:00:00.000Z'
+    ]);
+  });
+
+  it('moves monthly rules to the last day of shorter months without drifting', () => {
+    expect(occurrences({ frequency: 'monthly', interval: 1 }, utc('2026-01-31T10:00:00'), 4)).toEqual([
+      '2026-02-28T10:00:00.000Z',
+      '2026-03-31T10:00:00.000Z',
+      '2026-04-30T10:00:00.000Z',
+      '2026-05-31T10:00:00.000Z'
+    ]);
+  });
+
+  it('falls on the last day of each month with byMonthDay -1', () => {
+    const rule = { frequency: 'monthly', interval: 1, byMonthDay: -1 };
+    expect(occurrences(rule, utc('2027-12-15T00:00:00'), 3)).toEqual([
+      '2027-12-31T00:00:00.000Z',
+      '2028-01-31T00:00:00.000Z',
+      '2028-02-29T00:00:00.000Z'
+    ]);
+  });
+
+  it('steps monthly rules by their interval', () => {
+    expect(occurrences({ frequency: 'monthly', interval: 3 }, utc('2026-11-30T00:00:00'), 2)).toEqual([
+      '2027-02-28T00:00:00.000Z',
+      '2027-05-30T00:00:00.000Z'
+    ]);
+  });
+
+  it('keeps yearly rules from February 29 on the 28th outside leap years', () => {
+    expect(occurrences({ frequency: 'yearly', interval: 1 }, utc('2024-02-29T00:00:00'), 4)).toEqual([
+      '2025-02-28T00:00:00.000Z',
+      '2026-02-28T00:00:00.000Z',
+      '2027-02-28T00:00:00.000Z',
+      '2028-02-29T00:00:00.000Z'
+    ]);
+  });
+
+  it('skips dates that have already passed', () => {
+    const rule = { frequency: 'monthly', interval: 1 };
+    expect(nextOccurrenceDate(rule, utc('2026-01-31T00:00:00'), utc('2026-05-15T00:00:00')))
+      .toEqual(utc('2026-05-31T00:00:00'));
+  });
+
+  it('stops after UNTIL', () => {
+    const rule = { frequency: 'daily', interval: 1, until: utc('2026-01-03T23:59:59') };
+    expect(occurrences(rule, utc('2026-01-01T09:00:00'), 3)).toEqual([
+      '2026-01-02T09:00:00.000Z',
+      '2026-01-03T09:00:00.000Z',
+      null
+    ]);
+  });
+});
+
+describe('upcomingDates', () => {
+  const series = (rule, occurrenceCount, nextDate) => ({
+    rule,
+    startDate: utc('2026-01-01T09:00:00'),
+    occurrenceCount,
+    nextOccurrenceDate: nextDate
+  });
+
+  it('lists the next dates up to the limit', () => {
+    const dates = upcomingDates(series({ frequency: 'daily', interval: 1 }, 1, utc('2026-01-02T09:00:00')), 3);
+    expect(dates).toEqual([utc('2026-01-02T09:00:00'), utc('2026-01-03T09:00:00'), utc('2026-01-04T09:00:00')]);
+  });
+
+  it('stops once COUNT occurrences exist', () => {
+    const dates = upcomingDates(series({ frequency: 'daily', interval: 1, count: 3 }, 1, utc('2026-01-02T09:00:00')));
+    expect(dates).toEqual([utc('2026-01-02T09:00:00'), utc('2026-01-03T09:00:00')]);
+  });
+
+  it('stops at UNTIL', () => {
+    const rule = { frequency: 'daily', interval: 1, until: utc('2026-01-03T12:00:00') };
+    expect(upcomingDates(series(rule, 1, utc('2026-01-02T09:00:00')))).toHaveLength(2);
+  });
+
+  it('is empty for a series with no next date', () => {
+    expect(upcomingDates(series({ frequency: 'daily', interval: 1 }, 5, null))).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,134 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../utils/totp');
+
+// RFC 6238 appendix B (SHA-1) uses this ASCII seed and 8-digit codes; our
+// 6-digit codes are their last six digits
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+describe('base32', () => {
+  it('encodes the RFC 4648 test vectors', () => {
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  it('decodes what it encodes, ignoring case, spaces and padding', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 255, 128, 7]);
+    const encoded = base32Encode(bytes);
+
+    expect(base32Decode(encoded)).toEqual(bytes);
+    expect(base32Decode(`${encoded.toLowerCase().replace(/(.{4})/g, '$1 ')}====`)).toEqual(bytes);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches RFC 6238 at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+
+  it('generates 20-byte secrets', () => {
+    expect(base32Decode(generateSecret())).toHaveLength(20);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / 1000 / 30);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the matching step for the current code', () => {
+    expect(verifyCode(RFC_SECRET, '050471')).toBe(step);
+    expect(verifyCode(RFC_SECRET, '050 471')).toBe(step);
+  });
+
+  it('allows one step of clock drift either side', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2))).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '')).toBeNull();
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('names the issuer, account and code parameters', () => {
+    const uri = new URL(buildOtpauthUri(RFC_SECRET, 'jo@example.com', 'Task Manager'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Task Manager:jo@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).toBe('Task Manager');
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('secret encryption', () => {
+  it('round-trips and uses a fresh IV each time', () => {
+    const first = encryptSecret(RFC_SECRET);
+    const second = encryptSecret(RFC_SECRET);
+
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first)).toBe(RFC_SECRET);
+    expect(decryptSecret(second)).toBe(RFC_SECRET);
+  });
+
+  it('rejects tampered ciphertext', () => {
+    const [iv, tag, encrypted] = encryptSecret(RFC_SECRET).split('.');
+    const bytes = Buffer.from(encrypted, 'base64');
+    bytes[0] ^= 1;
+
+    expect(() => decryptSecret([iv, tag, bytes.toString('base64')].join('.'))).toThrow();
+  });
+});
+
+describe('recovery codes', () => {
+  it('returns codes with matching hashes', () => {
+    const { codes, hashes } = generateRecoveryCodes(3);
+
+    expect(codes).toHaveLength(3);
+    codes.forEach((code, index) => {
+      expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+      expect(hashRecoveryCode(code)).toBe(hashes[index]);
+    });
+  });
+
+  it('hashes codes regardless of case and separators', () => {
+    expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode('abcde12345'));
+  });
+});
\ No newline at end of file
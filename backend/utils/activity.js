@@ -0,0 +1,78 @@
+const Activity = require('../models/Activity');
+
+// Fields tracked in field-level diffs
+const TASK_FIELDS = ['title', 'description', 'status', 'priority', 'assignee', 'dueDate', 'estimatedHours', 'storyPoints', 'sprint', 'progress', 'labels', 'autoProgress'];
+const PROJECT_FIELDS = ['name', 'description', 'status', 'priority', 'deadline', 'color', 'tags', 'progress'];
+
+// Convert a document value to plain JSON, dropping subdocument ids so arrays compare by content
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  const plain = JSON.parse(JSON.stringify(value._id && value.constructor.modelName ? value._id : value));
+  if (Array.isArray(plain)) {
+    return plain.map(item => {
+      if (item && typeof item === 'object') {
+        const { _id, id, ...rest } = item;
+        return rest;
+      }
+      return item;
+    });
+  }
+  return plain;
+};
+
+// Capture the tracked fields of a document
+const snapshot = (doc, fields) => {
+  const result = {};
+  fields.forEach(field => {
+    result[field] = normalize(doc.get ? doc.get(field) : doc[field]);
+  });
+  return result;
+};
+
+// List the fields whose values differ between two snapshots
+const diffSnapshots = (before, after) => {
+  return Object.keys(after)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Record an activity entry; failures are logged and never fail the request
+const recordActivity = async ({ actor, type, project, task, targetName, changes, data }) => {
+  try {
+    return await Activity.create({
+      actor: actor && actor._id ? actor._id : actor,
+      type,
+      project: project && project._id ? project._id : project,
+      task: task && task._id ? task._id : task,
+      targetName,
+      changes: changes || [],
+      data: data || {}
+    });
+  } catch (error) {
+    console.error('Record activity error:', error);
+    return null;
+  }
+};
+
+// Build a Mongo filter from actor and type query parameters.
+// `type` accepts exact types ("task.updated") or a prefix ("task"), comma-separated.
+const buildActivityFilter = (base, { actor, type }) => {
+  const filter = { ...base };
+  if (actor) filter.actor = actor;
+  if (type) {
+    const types = type.split(',').map(item => item.trim()).filter(Boolean);
+    filter.$or = types.map(item => (item.includes('.')
+      ? { type: item }
+      : { type: { $regex: `^${item.replace(/[^a-z]/gi, '')}\\.` } }));
+  }
+  return filter;
+};
+
+module.exports = {
+  TASK_FIELDS,
+  PROJECT_FIELDS,
+  snapshot,
+  diffSnapshots,
+  recordActivity,
+  buildActivityFilter
+};
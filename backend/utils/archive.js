@@ -0,0 +1,108 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const Sprint = require('../models/Sprint');
+const TaskSeries = require('../models/TaskSeries');
+const ProjectInvite = require('../models/ProjectInvite');
+const { getTaskAttachmentKeys, removeStoredFiles } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUTO_ARCHIVE_DAYS = parseInt(process.env.AUTO_ARCHIVE_DAYS) || 30;
+const PROJECT_TRASH_RETENTION_DAYS = parseInt(process.env.PROJECT_TRASH_RETENTION_DAYS) || 30;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Days after completion before a project's done tasks are archived
+const autoArchiveDaysOf = (project) => project.settings.autoArchiveDays || AUTO_ARCHIVE_DAYS;
+
+// When a deleted project will be purged from the trash
+const purgeDateOf = (project) => new Date(project.deletedAt.getTime() + PROJECT_TRASH_RETENTION_DAYS * DAY_MS);
+
+const archiveTask = (task, date = new Date()) => {
+  task.isArchived = true;
+  task.archivedAt = date;
+};
+
+const unarchiveTask = (task) => {
+  task.isArchived = false;
+  task.archivedAt = undefined;
+  task.archivedWithProject = false;
+};
+
+// Archive a project's active tasks along with it
+const archiveProjectTasks = async (projectId, date = new Date()) => {
+  const result = await Task.updateMany(
+    { project: projectId, isArchived: false },
+    { $set: { isArchived: true, archivedAt: date, archivedWithProject: true } }
+  );
+  return result.modifiedCount;
+};
+
+// Bring back the tasks archived with a project; tasks archived on their own stay archived
+const restoreProjectTasks = async (projectId) => {
+  const result = await Task.updateMany(
+    { project: projectId, archivedWithProject: true },
+    { $set: { isArchived: false, archivedWithProject: false }, $unset: { archivedAt: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+const archiveProject = async (project, date = new Date()) => {
+  project.isArchived = true;
+  project.archivedAt = date;
+  await project.save();
+  return archiveProjectTasks(project._id, date);
+};
+
+// Tasks stay archived while the project is still in the trash
+const unarchiveProject = async (project) => {
+  project.isArchived = false;
+  project.archivedAt = undefined;
+  await project.save();
+  return project.deletedAt ? 0 : restoreProjectTasks(project._id);
+};
+
+const trashProject = async (project, user) => {
+  project.deletedAt = new Date();
+  project.deletedBy = user._id;
+  await project.save();
+  return archiveProjectTasks(project._id, project.deletedAt);
+};
+
+// Tasks stay archived if the project was archived before it was deleted
+const restoreProject = async (project) => {
+  project.deletedAt = null;
+  project.deletedBy = undefined;
+  await project.save();
+  return project.isArchived ? 0 : restoreProjectTasks(project._id);
+};
+
+// Permanently delete a project with its tasks, uploaded files, sprints,
+// recurring series and pending invites; returns the number of tasks removed
+const purgeProject = async (project) => {
+  const tasks = await Task.find({ project: project._id }).select('attachments comments.attachments');
+  await Task.deleteMany({ project: project._id });
+  await removeStoredFiles(tasks.flatMap(getTaskAttachmentKeys));
+  await Sprint.deleteMany({ project: project._id });
+  await TaskSeries.deleteMany({ project: project._id });
+  await ProjectInvite.deleteMany({ project: project._id });
+  await Project.findByIdAndDelete(project._id);
+
+  return tasks.length;
+};
+
+module.exports = {
+  AUTO_ARCHIVE_DAYS,
+  PROJECT_TRASH_RETENTION_DAYS,
+  escapeRegex,
+  autoArchiveDaysOf,
+  purgeDateOf,
+  archiveTask,
+  unarchiveTask,
+  archiveProjectTasks,
+  restoreProjectTasks,
+  archiveProject,
+  unarchiveProject,
+  trashProject,
+  restoreProject,
+  purgeProject
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+const Task = require('../models/Task');
+const { rankAfter } = require('./ranking');
+const { getWorkflow, findState } = require('./workflows');
+
+const wipLimitOf = (project, status) => {
+  const entry = ((project.board && project.board.wipLimits) || []).find(item => item.state === status);
+  return entry ? entry.limit : null;
+};
+
+// Rank that puts a task at the bottom of its column. Appends go after the
+// highest rank in the whole project so they never tie with another card.
+const nextRank = async (projectId) => {
+  const last = await Task.findOne({ project: projectId, rank: { $ne: null } })
+    .sort({ rank: -1 })
+    .select('rank');
+  return rankAfter(last ? last.rank : null);
+};
+
+// Would one more task in `status` go over the column's WIP limit? Returns
+// null when it would not, otherwise details and whether the move is blocked.
+const checkWipLimit = async (project, status, taskId) => {
+  const limit = wipLimitOf(project, status);
+  if (!limit) return null;
+
+  const count = await Task.countDocuments({
+    project: project._id,
+    status,
+    isArchived: false,
+    _id: { $ne: taskId }
+  });
+  if (count < limit) return null;
+
+  const state = findState(getWorkflow(project), status);
+  return {
+    message: `${state ? state.name : status} is at its WIP limit of ${limit}`,
+    status,
+    limit,
+    count,
+    blocked: project.board.wipEnforcement === 'block'
+  };
+};
+
+module.exports = {
+  wipLimitOf,
+  nextRank,
+  checkWipLimit
+};
\ No newline at end of file
@@ -0,0 +1,188 @@
+const Task = require('../models/Task');
+const { DEFAULT_WORKFLOW, findState } = require('./workflows');
+
+// Relation stored on the other task when a dependency is linked
+const INVERSE_TYPES = {
+  'blocks': 'blocked-by',
+  'blocked-by': 'blocks',
+  'relates-to': 'relates-to'
+};
+
+// Check whether making `blockerId` block `blockedId` would close a loop,
+// i.e. whether `blockerId` is already reachable from `blockedId`
+const wouldCreateCycle = async (blockerId, blockedId) => {
+  const target = blockerId.toString();
+  const visited = new Set([blockedId.toString()]);
+  let frontier = [blockedId];
+
+  if (target === blockedId.toString()) return true;
+
+  while (frontier.length > 0) {
+    const [sources, inverses] = await Promise.all([
+      Task.find({ _id: { $in: frontier } }).select('dependencies'),
+      Task.find({
+        dependencies: { $elemMatch: { task: { $in: frontier }, type: 'blocked-by' } }
+      }).select('_id')
+    ]);
+
+    const next = [];
+    const visit = (id) => {
+      const key = id.toString();
+      if (visited.has(key)) return false;
+      visited.add(key);
+      next.push(id);
+      return key === target;
+    };
+
+    for (const task of sources) {
+      for (const dep of task.dependencies) {
+        if (dep.type === 'blocks' && dep.task && visit(dep.task)) return true;
+      }
+    }
+
+    for (const task of inverses) {
+      if (visit(task._id)) return true;
+    }
+
+    frontier = next;
+  }
+
+  return false;
+};
+
+// Get the unresolved tasks currently blocking a task
+const getOpenBlockers = async (task) => {
+  const blockerIds = task.dependencies
+    .filter(dep => dep.type === 'blocked-by' && dep.task)
+    .map(dep => dep.task._id || dep.task);
+
+  const blockers = await Task.find({
+    $or: [
+      { _id: { $in: blockerIds } },
+      { dependencies: { $elemMatch: { task: task._id, type: 'blocks' } } }
+    ],
+    // Tasks in a done state no longer block anything
+    statusCategory: { $ne: 'done' }
+  }).select('title status project');
+
+  return blockers;
+};
+
+// Build nodes, edges and the critical path for a set of tasks.
+// The critical path is the longest chain of "blocks" edges weighted by estimatedHours.
+const buildDependencyGraph = (tasks, workflow = DEFAULT_WORKFLOW) => {
+  const nodes = tasks.map(task => ({
+    id: task._id.toString(),
+    title: task.title,
+    status: task.status,
+    statusCategory: task.statusCategory,
+    priority: task.priority,
+    assignee: task.assignee,
+    dueDate: task.dueDate,
+    estimatedHours: task.estimatedHours || 0
+  }));
+
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const edgeMap = new Map();
+
+  tasks.forEach(task => {
+    const id = task._id.toString();
+    task.dependencies.forEach(dep => {
+      if (!dep.task) return;
+      const other = dep.task.toString();
+
+      let from = id;
+      let to = other;
+      let type = 'blocks';
+
+      if (dep.type === 'blocked-by') {
+        from = other;
+        to = id;
+      } else if (dep.type === 'relates-to') {
+        type = 'relates-to';
+        [from, to] = [id, other].sort();
+      }
+
+      const key = `${type}:${from}:${to}`;
+      if (!edgeMap.has(key)) {
+        edgeMap.set(key, {
+          from,
+          to,
+          type,
+          external: !nodeIds.has(from) || !nodeIds.has(to)
+        });
+      }
+    });
+  });
+
+  const edges = Array.from(edgeMap.values());
+
+  // Longest path over the internal blocking edges (Kahn's topological order)
+  const weights = {};
+  const inDegree = {};
+  const successors = {};
+
+  nodes.forEach(node => {
+    const task = tasks.find(item => item._id.toString() === node.id);
+    const state = findState(workflow, task.status);
+    weights[node.id] = state && state.cancelled ? 0 : node.estimatedHours;
+    inDegree[node.id] = 0;
+    successors[node.id] = [];
+  });
+
+  edges
+    .filter(edge => edge.type === 'blocks' && !edge.external)
+    .forEach(edge => {
+      successors[edge.from].push(edge.to);
+      inDegree[edge.to] += 1;
+    });
+
+  const queue = nodes.filter(node => inDegree[node.id] === 0).map(node => node.id);
+  const distance = {};
+  const previous = {};
+  let processed = 0;
+
+  queue.forEach(id => { distance[id] = weights[id]; });
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    processed += 1;
+
+    successors[id].forEach(next => {
+      const candidate = distance[id] + weights[next];
+      if (distance[next] === undefined || candidate > distance[next]) {
+        distance[next] = candidate;
+        previous[next] = id;
+      }
+      inDegree[next] -= 1;
+      if (inDegree[next] === 0) queue.push(next);
+    });
+  }
+
+  let end = null;
+  Object.keys(distance).forEach(id => {
+    if (end === null || distance[id] > distance[end]) end = id;
+  });
+
+  const path = [];
+  for (let id = end; id; id = previous[id]) {
+    path.unshift(id);
+  }
+
+  return {
+    nodes,
+    edges,
+    criticalPath: {
+      tasks: path,
+      totalHours: end ? distance[end] : 0
+    },
+    hasCycle: processed < nodes.length
+  };
+};
+
+module.exports = {
+  INVERSE_TYPES,
+  wouldCreateCycle,
+  getOpenBlockers,
+  buildDependencyGraph
+};
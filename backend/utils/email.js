@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EmailJob = require('../models/EmailJob');
+const { renderTemplate } = require('./emailTemplates');
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 50;
+
+const fromAddress = () => process.env.EMAIL_FROM || 'Dynamic Task Manager <no-reply@taskmanager.local>';
+
+// Build an RFC 822 message with plain text and HTML alternatives
+const buildMimeMessage = ({ to, subject, text, html }) => {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = (fromAddress().match(/@([^>]+)>?$/) || [])[1] || 'localhost';
+  const encode = (value) => Buffer.from(value || '', 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${fromAddress()}`,
+    `To: ${to}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject, 'utf8').toString('base64')}?=`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encode(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    encode(html),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+};
+
+// Writes each message as an .eml file so email works without a mail server
+const createFileTransport = (outboxDir) => ({
+  name: 'file',
+  async send(message) {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.promises.writeFile(path.join(outboxDir, filename), buildMimeMessage(message));
+    return { id: filename };
+  }
+});
+
+// Logs a summary of each message to the console
+const createLogTransport = () => ({
+  name: 'log',
+  async send(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}`);
+    return { id: null };
+  }
+});
+
+const transports = {
+  file: () => createFileTransport(process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')),
+  log: () => createLogTransport()
+};
+
+let transport = null;
+
+// Get the configured transport (EMAIL_TRANSPORT, defaults to writing .eml files)
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT || 'file';
+    if (!transports[name]) {
+      throw new Error(`Unknown email transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Register an additional transport factory, e.g. for SMTP or an email API.
+// A transport is an object with an async send({ to, subject, text, html }) method.
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  transport = null;
+};
+
+// Drop the rendered bodies of a finished job, which may hold password reset,
+// verification or invite links, and let the job expire
+const finish = (job) => {
+  job.text = undefined;
+  job.html = undefined;
+  job.finishedAt = new Date();
+};
+
+let processing = false;
+
+// Deliver due messages from the queue, backing off exponentially on failure
+const processEmailQueue = async () => {
+  if (processing) return 0;
+  processing = true;
+
+  let sent = 0;
+  try {
+    // Release jobs left mid-send by a crashed process
+    await EmailJob.updateMany(
+      { status: 'sending', updatedAt: { $lt: new Date(Date.now() - 10 * 60 * 1000) } },
+      { status: 'pending' }
+    );
+
+    const jobs = await EmailJob.find({
+      status: 'pending',
+      nextAttemptAt: { $lte: new Date() }
+    })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE);
+
+    for (const job of jobs) {
+      // Claim the job so a second process does not send it too
+      const claimed = await EmailJob.findOneAndUpdate(
+        { _id: job._id, status: 'pending' },
+        { status: 'sending', $inc: { attempts: 1 } },
+        { new: true }
+      );
+      if (!claimed) continue;
+
+      try {
+        await getTransport().send({
+          to: claimed.to,
+          subject: claimed.subject,
+          text: claimed.text,
+          html: claimed.html
+        });
+        claimed.status = 'sent';
+        claimed.sentAt = new Date();
+        claimed.lastError = undefined;
+        finish(claimed);
+        sent += 1;
+      } catch (error) {
+        console.error('Email send error:', error);
+        claimed.lastError = error.message;
+        if (claimed.attempts >= MAX_ATTEMPTS) {
+          claimed.status = 'failed';
+          finish(claimed);
+        } else {
+          claimed.status = 'pending';
+          claimed.nextAttemptAt = new Date(Date.now() + Math.pow(2, claimed.attempts) * 60 * 1000);
+        }
+      }
+
+      await claimed.save();
+    }
+  } finally {
+    processing = false;
+  }
+
+  return sent;
+};
+
+// Render a template and queue it for delivery
+const queueEmail = async ({ to, recipient, template, data, meta }) => {
+  const { subject, text, html } = renderTemplate(template, data);
+  const job = await EmailJob.create({ to, recipient, template, subject, text, html, meta: meta || {} });
+
+  processEmailQueue().catch(error => console.error('Email queue error:', error));
+  return job;
+};
+
+// Queue an email for a user if they have email notifications turned on
+const queueUserEmail = async (user, template, data, meta) => {
+  const settings = user.preferences && user.preferences.notifications;
+  if (!user.email || (settings && settings.email === false)) return null;
+
+  return queueEmail({
+    to: user.email,
+    recipient: user._id,
+    template,
+    data: { user, ...data },
+    meta
+  });
+};
+
+module.exports = {
+  buildMimeMessage,
+  createFileTransport,
+  createLogTransport,
+  getTransport,
+  registerTransport,
+  processEmailQueue,
+  queueEmail,
+  queueUserEmail
+};
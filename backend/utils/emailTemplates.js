@@ -0,0 +1,176 @@
+const appUrl = () => process.env.FRONTEND_URL || 'http://localhost:4200';
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => (date ? new Date(date).toDateString() : 'No due date');
+
+const NOTIFICATION_FOOTER = `You are receiving this email because of your notification settings in Dynamic Task Manager.
+      <a href="${appUrl()}/profile">Manage preferences</a>`;
+
+const ACCOUNT_FOOTER = 'You are receiving this email because of activity on your Dynamic Task Manager account.';
+
+// Wrap body HTML in the shared layout
+const layout = (title, bodyHtml, footer = NOTIFICATION_FOOTER) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #333;">
+    <h2 style="color: #2196F3;">${escapeHtml(title)}</h2>
+    ${bodyHtml}
+    <p style="color: #999; font-size: 12px;">
+      ${footer}
+    </p>
+  </body>
+</html>`;
+
+const taskLink = (task) => `${appUrl()}/tasks/${task._id}`;
+
+const taskListText = (tasks) => tasks
+  .map(task => `- ${task.title} (${task.status}, due ${formatDate(task.dueDate)}) ${taskLink(task)}`)
+  .join('\n');
+
+const taskListHtml = (tasks) => `<ul>${tasks
+  .map(task => `<li><a href="${taskLink(task)}">${escapeHtml(task.title)}</a> &middot; ${escapeHtml(task.status)} &middot; due ${escapeHtml(formatDate(task.dueDate))}</li>`)
+  .join('')}</ul>`;
+
+const templates = {
+  // data: { user, actor, task, project }
+  assignment: ({ user, actor, task, project }) => {
+    const subject = `[${project.name}] You were assigned "${task.title}"`;
+    return {
+      subject,
+      text: `Hi ${user.firstName},\n\n${actor.fullName} assigned you "${task.title}" in ${project.name}.\nDue: ${formatDate(task.dueDate)}\n\n${taskLink(task)}`,
+      html: layout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(actor.fullName)} assigned you <a href="${taskLink(task)}">${escapeHtml(task.title)}</a> in ${escapeHtml(project.name)}.</p>
+    <p>Due: ${escapeHtml(formatDate(task.dueDate))}</p>`)
+    };
+  },
+
+  // data: { user, actor, task, project, comment }
+  mention: ({ user, actor, task, project, comment }) => {
+    const subject = `[${project.name}] ${actor.fullName} mentioned you on "${task.title}"`;
+    return {
+      subject,
+      text: `Hi ${user.firstName},\n\n${actor.fullName} mentioned you:\n\n"${comment}"\n\n${taskLink(task)}`,
+      html: layout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(actor.fullName)} mentioned you on <a href="${taskLink(task)}">${escapeHtml(task.title)}</a>:</p>
+    <blockquote style="border-left: 3px solid #ddd; padding-left: 10px;">${escapeHtml(comment)}</blockquote>`)
+    };
+  },
+
+  // data: { user, tasks }
+  overdue: ({ user, tasks }) => {
+    const subject = tasks.length === 1
+      ? `"${tasks[0].title}" is overdue`
+      : `${tasks.length} of your tasks are overdue`;
+    return {
+      subject,
+      text: `Hi ${user.firstName},\n\nThe following tasks are past their due date:\n\n${taskListText(tasks)}`,
+      html: layout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>The following tasks are past their due date:</p>
+    ${taskListHtml(tasks)}`)
+    };
+  },
+
+  // data: { user, frequency, overdue, dueSoon, inProgress }
+  digest: ({ user, frequency, overdue, dueSoon, inProgress }) => {
+    const period = frequency === 'weekly' ? 'Weekly' : 'Daily';
+    const subject = `${period} digest: ${overdue.length} overdue, ${dueSoon.length} due soon`;
+    const sections = [
+      ['Overdue', overdue],
+      [frequency === 'weekly' ? 'Due this week' : 'Due today and tomorrow', dueSoon],
+      ['In progress', inProgress]
+    ];
+
+    return {
+      subject,
+      text: `Hi ${user.firstName},\n\nHere is your ${period.toLowerCase()} summary of your tasks.\n\n${sections
+        .map(([heading, tasks]) => `${heading} (${tasks.length})\n${tasks.length ? taskListText(tasks) : '- Nothing here'}`)
+        .join('\n\n')}`,
+      html: layout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>Here is your ${period.toLowerCase()} summary of your tasks.</p>
+    ${sections
+      .map(([heading, tasks]) => `<h3>${escapeHtml(heading)} (${tasks.length})</h3>${tasks.length ? taskListHtml(tasks) : '<p>Nothing here</p>'}`)
+      .join('\n    ')}`)
+    };
+  },
+
+  // data: { user, token, expiresInMinutes, forced }
+  'password-reset': ({ user, token, expiresInMinutes, forced }) => {
+    const subject = forced ? 'An administrator reset your password' : 'Reset your password';
+    const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+    const intro = forced
+      ? 'An administrator has reset your password and signed you out everywhere.'
+      : 'We received a request to reset your password.';
+    const outro = forced ? '' : 'If you did not ask for this, you can ignore this email.';
+    return {
+      subject,
+      text: `Hi ${user.firstName},\n\n${intro} Open this link within ${expiresInMinutes} minutes to choose a new one:\n\n${link}${outro ? `\n\n${outro}` : ''}`,
+      html: layout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${intro} Open this link within ${expiresInMinutes} minutes to choose a new one:</p>
+    <p><a href="${escapeHtml(link)}">Reset password</a></p>${outro ? `
+    <p>${outro}</p>` : ''}`, ACCOUNT_FOOTER)
+    };
+  },
+
+  // data: { actor, project, role, link, expiresAt }
+  'project-invite': ({ actor, project, role, link, expiresAt }) => {
+    const subject = `${actor.fullName} invited you to join "${project.name}"`;
+    return {
+      subject,
+      text: `Hi,\n\n${actor.fullName} invited you to join the project "${project.name}" as ${role}. The invitation is valid until ${formatDate(expiresAt)}:\n\n${link}`,
+      html: layout(subject, `
+    <p>Hi,</p>
+    <p>${escapeHtml(actor.fullName)} invited you to join the project <strong>${escapeHtml(project.name)}</strong> as ${escapeHtml(role)}. The invitation is valid until ${escapeHtml(formatDate(expiresAt))}.</p>
+    <p><a href="${escapeHtml(link)}">View invitation</a></p>`, ACCOUNT_FOOTER)
+    };
+  },
+
+  // data: { user, actor, token, expiresInMinutes }
+  'account-invite': ({ user, actor, token, expiresInMinutes }) => {
+    const subject = `${actor.fullName} invited you to Dynamic Task Manager`;
+    const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}&invite=1`;
+    const days = Math.round(expiresInMinutes / 60 / 24);
+    return {
+      subject,
+      text: `Hi ${user.firstName},\n\n${actor.fullName} created an account for you (username: ${user.username}). Choose a password within ${days} days to get started:\n\n${link}`,
+      html: layout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>${escapeHtml(actor.fullName)} created an account for you (username: <strong>${escapeHtml(user.username)}</strong>). Choose a password within ${days} days to get started:</p>
+    <p><a href="${escapeHtml(link)}">Set your password</a></p>`, ACCOUNT_FOOTER)
+    };
+  },
+
+  // data: { user, token, expiresInMinutes }
+  'verify-email': ({ user, token, expiresInMinutes }) => {
+    const subject = 'Confirm your email address';
+    const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+    const hours = Math.round(expiresInMinutes / 60);
+    return {
+      subject,
+      text: `Hi ${user.firstName},\n\nPlease confirm ${user.email} as the email address for your account. This link is valid for ${hours} hours:\n\n${link}`,
+      html: layout(subject, `
+    <p>Hi ${escapeHtml(user.firstName)},</p>
+    <p>Please confirm ${escapeHtml(user.email)} as the email address for your account. This link is valid for ${hours} hours:</p>
+    <p><a href="${escapeHtml(link)}">Confirm email</a></p>`, ACCOUNT_FOOTER)
+    };
+  }
+};
+
+// Render a named template to { subject, text, html }
+const renderTemplate = (name, data) => {
+  if (!templates[name]) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return templates[name](data);
+};
+
+module.exports = { renderTemplate, escapeHtml, templates };
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const ProjectInvite = require('../models/ProjectInvite');
+const { queueEmail } = require('./email');
+const { recordActivity } = require('./activity');
+const { joinProjectRoom } = require('./socket');
+const { addOrganizationMember } = require('./organizations');
+
+const INVITE_TTL_DAYS = parseInt(process.env.PROJECT_INVITE_TTL_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const inviteLink = (token) => `${process.env.FRONTEND_URL || 'http://localhost:4200'}/invites/${token}`;
+
+// Error with a message that is safe to send back to the client
+const inviteError = (message) => {
+  const error = new Error(message);
+  error.name = 'InviteError';
+  return error;
+};
+
+// Give an invite a new token and expiry; returns the raw token. Only its hash
+// is kept on the invite; the emailed link stays in the queued email job until
+// it is sent, when the body is dropped
+const assignToken = (invite, ttlDays = INVITE_TTL_DAYS) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  invite.tokenHash = hashToken(token);
+  invite.expiresAt = new Date(Date.now() + ttlDays * DAY_MS);
+  return token;
+};
+
+const findInviteByToken = (token) => {
+  return ProjectInvite.findOne({ tokenHash: hashToken(token) })
+    .populate('project')
+    .populate('invitedBy', 'firstName lastName username');
+};
+
+// Why an invite can no longer be used, or null when it can
+const inviteProblem = (invite) => {
+  if (!invite || !invite.project || invite.project.deletedAt) return 'Invitation not found';
+  if (invite.status !== 'pending') return `Invitation has already been ${invite.status}`;
+  if (invite.expiresAt < new Date()) return 'Invitation has expired';
+  if (invite.maxUses && invite.uses >= invite.maxUses) return 'Invitation link has reached its limit';
+  return null;
+};
+
+const sendInviteEmail = async (invite, token, actor) => {
+  await queueEmail({
+    to: invite.email,
+    template: 'project-invite',
+    data: {
+      actor,
+      project: invite.project,
+      role: invite.role,
+      link: inviteLink(token),
+      expiresAt: invite.expiresAt
+    },
+    meta: { invite: invite._id }
+  });
+
+  await ProjectInvite.updateOne(
+    { _id: invite._id },
+    { $inc: { sentCount: 1 }, lastSentAt: new Date() }
+  );
+};
+
+const isMember = (project, user) => {
+  return project.owner.equals(user._id) || project.members.some(member => member.user.equals(user._id));
+};
+
+// Add a user to the invite's project. Email invites are single-use and bound
+// to their address; link invites count uses up to maxUses.
+const acceptInvite = async (invite, user, io) => {
+  const problem = inviteProblem(invite);
+  if (problem) throw inviteError(problem);
+
+  if (invite.type === 'email' && invite.email !== user.email) {
+    throw inviteError('This invitation was sent to a different email address');
+  }
+
+  const project = invite.project;
+  const alreadyMember = isMember(project, user);
+
+  // Link invites are only used up by people who actually join
+  if (invite.type === 'link' && alreadyMember) {
+    return { project, alreadyMember };
+  }
+
+  const claim = invite.type === 'email'
+    ? { status: 'accepted', respondedAt: new Date(), $inc: { uses: 1 }, $push: { acceptedBy: user._id } }
+    : { $inc: { uses: 1 }, $push: { acceptedBy: user._id } };
+
+  // Conditional update so concurrent accepts cannot exceed the limits
+  const claimed = await ProjectInvite.findOneAndUpdate(
+    {
+      _id: invite._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+      acceptedBy: { $ne: user._id },
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }]
+    },
+    claim,
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw inviteError('Invitation is no longer valid');
+  }
+
+  if (alreadyMember) {
+    return { project, alreadyMember };
+  }
+
+  project.members.push({ user: user._id, role: invite.role, joinedAt: new Date() });
+  await project.save();
+
+  // Joining a project also makes the user a member of its organization
+  if (project.organization) {
+    await addOrganizationMember(project.organization, user._id);
+  }
+
+  await recordActivity({
+    actor: user._id,
+    type: 'member.added',
+    project: project._id,
+    targetName: project.name,
+    data: { user: user._id, role: invite.role, invite: invite._id, invitedBy: invite.invitedBy._id || invite.invitedBy }
+  });
+
+  joinProjectRoom(io, user._id, project._id);
+  io.to(project._id.toString()).emit('member-added', {
+    projectId: project._id.toString(),
+    userId: user._id.toString(),
+    role: invite.role
+  });
+
+  return { project, alreadyMember };
+};
+
+module.exports = {
+  INVITE_TTL_DAYS,
+  inviteLink,
+  inviteError,
+  assignToken,
+  findInviteByToken,
+  inviteProblem,
+  sendInviteEmail,
+  isMember,
+  acceptInvite
+};
\ No newline at end of file
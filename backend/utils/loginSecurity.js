@@ -0,0 +1,109 @@
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.MAX_LOCKOUT_MINUTES) || 24 * 60;
+const IP_MAX_FAILED_LOGINS = parseInt(process.env.IP_MAX_FAILED_LOGINS) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.IP_WINDOW_MINUTES) || 15;
+
+// Store one attempt in the login history; never fails the login itself
+const recordLoginAttempt = async ({ user, login, req, success, method, reason }) => {
+  try {
+    await LoginAttempt.create({
+      user: user ? user._id : undefined,
+      login: login ? String(login).slice(0, 200) : undefined,
+      ip: req.ip || '',
+      userAgent: req.get('User-Agent') || '',
+      success,
+      method,
+      reason
+    });
+  } catch (error) {
+    console.error('Record login attempt error:', error);
+  }
+};
+
+// Attempts turned away before any credentials were checked; counting them
+// would keep extending the block they were rejected by
+const UNCOUNTED_REASONS = ['ip-blocked', 'locked'];
+
+// Too many failures from one IP, across any accounts, within the window
+const isIpBlocked = async (ip) => {
+  const since = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+  const failures = await LoginAttempt.countDocuments({
+    ip,
+    success: false,
+    reason: { $nin: UNCOUNTED_REASONS },
+    createdAt: { $gte: since }
+  });
+  return failures >= IP_MAX_FAILED_LOGINS;
+};
+
+const isLocked = (user) => !!user.lockUntil && user.lockUntil > new Date();
+
+// Lock time doubles with each lock since the last successful login
+const lockDurationMinutes = (lockCount) => {
+  return Math.min(LOCKOUT_MINUTES * 2 ** lockCount, MAX_LOCKOUT_MINUTES);
+};
+
+// Count a failed attempt and lock the account once the limit is reached.
+// Returns the lock expiry when this failure locked the account.
+const registerFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) return null;
+
+  const lockUntil = new Date(Date.now() + lockDurationMinutes(updated.lockCount || 0) * 60 * 1000);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockUntil }, $inc: { lockCount: 1 } }
+  );
+  return lockUntil;
+};
+
+// Clear failure counters after a successful login or password reset
+const clearLoginFailures = (user) => {
+  user.failedLoginAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+};
+
+// Paginated login history of one user, newest first
+const getLoginHistory = async (userId, { page, limit } = {}) => {
+  const current = parseInt(page) || 1;
+  const perPage = parseInt(limit) || 20;
+  const filter = { user: userId };
+
+  const attempts = await LoginAttempt.find(filter)
+    .select('ip userAgent success method reason createdAt')
+    .sort({ createdAt: -1 })
+    .skip((current - 1) * perPage)
+    .limit(perPage);
+
+  const total = await LoginAttempt.countDocuments(filter);
+
+  return {
+    attempts,
+    pagination: {
+      current,
+      pages: Math.ceil(total / perPage),
+      total,
+      hasNext: current < Math.ceil(total / perPage),
+      hasPrev: current > 1
+    }
+  };
+};
+
+module.exports = {
+  recordLoginAttempt,
+  isIpBlocked,
+  isLocked,
+  registerFailedLogin,
+  clearLoginFailures,
+  getLoginHistory
+};
\ No newline at end of file
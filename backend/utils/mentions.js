@@ -0,0 +1,25 @@
+const User = require('../models/User');
+
+// Extract unique @usernames from text (usernames are letters, numbers and underscores)
+const parseMentions = (text) => {
+  const matches = (text || '').match(/(^|[^\w@])@(\w{3,30})\b/g) || [];
+  const usernames = matches.map(match => match.slice(match.indexOf('@') + 1));
+  return [...new Set(usernames)];
+};
+
+// Resolve @usernames in text to users who belong to the project
+const resolveMentions = async (text, project) => {
+  const usernames = parseMentions(text);
+  if (usernames.length === 0) return [];
+
+  const memberIds = project.members.map(member => member.user._id || member.user);
+  memberIds.push(project.owner._id || project.owner);
+
+  return User.find({
+    username: { $in: usernames },
+    _id: { $in: memberIds },
+    isActive: true
+  }).select('username firstName lastName');
+};
+
+module.exports = { parseMentions, resolveMentions };
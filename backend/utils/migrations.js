@@ -0,0 +1,59 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { migrateLegacyProjects } = require('./organizations');
+const { DEFAULT_WORKFLOW } = require('./workflows');
+const { rankAfter } = require('./ranking');
+
+// Projects created before workflows were configurable get the default
+// workflow, and their tasks the category of their status
+const migrateWorkflows = async () => {
+  const projects = await Project.updateMany(
+    { 'workflow.states.0': { $exists: false } },
+    { workflow: DEFAULT_WORKFLOW }
+  );
+
+  let tasks = 0;
+  for (const state of DEFAULT_WORKFLOW.states) {
+    const result = await Task.updateMany(
+      { status: state.key, statusCategory: { $exists: false } },
+      { statusCategory: state.category }
+    );
+    tasks += result.modifiedCount;
+  }
+
+  if (projects.modifiedCount > 0 || tasks > 0) {
+    console.log(`🔀 Moved ${projects.modifiedCount} projects and ${tasks} tasks to the default workflow`);
+  }
+};
+
+// Tasks created before the board existed get ranks in creation order,
+// after any ranked tasks of their project
+const migrateTaskRanks = async () => {
+  const projectIds = await Task.distinct('project', { rank: null });
+
+  for (const projectId of projectIds) {
+    const last = await Task.findOne({ project: projectId, rank: { $ne: null } }).sort({ rank: -1 }).select('rank');
+    const tasks = await Task.find({ project: projectId, rank: null }).sort({ createdAt: 1 }).select('_id');
+
+    let rank = last ? last.rank : null;
+    const updates = tasks.map(task => {
+      rank = rankAfter(rank);
+      return { updateOne: { filter: { _id: task._id }, update: { rank } } };
+    });
+
+    await Task.bulkWrite(updates);
+  }
+
+  if (projectIds.length > 0) {
+    console.log(`🗂️ Ranked board tasks in ${projectIds.length} projects`);
+  }
+};
+
+// One-off data upgrades, safe to run on every start
+const runMigrations = async () => {
+  await migrateLegacyProjects();
+  await migrateWorkflows();
+  await migrateTaskRanks();
+};
+
+module.exports = { runMigrations };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emitToUser } = require('./socket');
+const { queueUserEmail } = require('./email');
+
+// Preference toggle (User.preferences.notifications) that governs each type
+const PREFERENCE_BY_TYPE = {
+  'task-assigned': 'taskUpdates',
+  'task-unassigned': 'taskUpdates',
+  'status-changed': 'taskUpdates',
+  'comment': 'taskUpdates',
+  'mention': 'taskUpdates',
+  'due-soon': 'taskUpdates',
+  'member-added': 'projectUpdates'
+};
+
+const toId = (value) => (value && value._id ? value._id : value);
+
+// Titles and messages quote task titles and comments, which can be longer
+// than the Notification limits allow
+const TITLE_LENGTH = 200;
+const MESSAGE_LENGTH = 500;
+
+const truncate = (value, length) => {
+  return value && value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+// People who follow a task (reporters, assignees and commenters watch automatically)
+const getTaskAudience = (task) => {
+  const ids = (task.watchers || [])
+    .filter(Boolean)
+    .map(user => toId(user).toString());
+  return [...new Set(ids)];
+};
+
+// Create notifications for recipients who opted in, skipping the actor,
+// and push them to each recipient's personal socket room.
+// Pass `email: { template, data }` to also queue an email for users with email turned on.
+const notify = async (io, { recipients, actor, type, title, message, task, project, data, email }) => {
+  const actorId = actor ? toId(actor).toString() : null;
+  const recipientIds = [...new Set(
+    (recipients || []).filter(Boolean).map(user => toId(user).toString())
+  )].filter(id => id !== actorId);
+
+  if (recipientIds.length === 0) return [];
+
+  const preference = PREFERENCE_BY_TYPE[type];
+  const users = await User.find({ _id: { $in: recipientIds }, isActive: true })
+    .select('email firstName lastName preferences.notifications');
+
+  const optedIn = users.filter(user => {
+    const settings = user.preferences && user.preferences.notifications;
+    return !settings || settings[preference] !== false;
+  });
+
+  if (optedIn.length === 0) return [];
+
+  const notifications = await Notification.insertMany(optedIn.map(user => ({
+    recipient: user._id,
+    actor: actorId,
+    type,
+    title: truncate(title, TITLE_LENGTH),
+    message: truncate(message, MESSAGE_LENGTH),
+    task: task ? toId(task) : undefined,
+    project: project ? toId(project) : undefined,
+    data: data || {}
+  })));
+
+  if (io) {
+    notifications.forEach(notification => {
+      const user = optedIn.find(item => item._id.toString() === notification.recipient.toString());
+      const settings = user.preferences && user.preferences.notifications;
+      if (!settings || settings.push !== false) {
+        emitToUser(io, notification.recipient, 'notification', notification);
+      }
+    });
+  }
+
+  if (email) {
+    await Promise.all(optedIn.map(user =>
+      queueUserEmail(user, email.template, email.data, { type, task: task ? toId(task) : undefined })
+    ));
+  }
+
+  return notifications;
+};
+
+// Fire-and-forget wrapper so a notification failure never fails the request
+const notifySafely = (io, payload) => {
+  notify(io, payload).catch(error => console.error('Notification error:', error));
+};
+
+module.exports = { notify, notifySafely, getTaskAudience, PREFERENCE_BY_TYPE };
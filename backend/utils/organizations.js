@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const Project = require('../models/Project');
+const User = require('../models/User');
+
+const slugify = (value) => {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50) || 'workspace';
+};
+
+// Slug derived from a name, with a random suffix when it is already taken
+const uniqueSlug = async (name) => {
+  const base = slugify(name);
+  if (!await Organization.exists({ slug: base })) return base;
+  return `${base}-${crypto.randomBytes(3).toString('hex')}`;
+};
+
+const isOrganizationMember = (organization, user) => {
+  return organization.members.some(member => member.user.toString() === user._id.toString());
+};
+
+// Add a user to an organization unless they already belong to it
+const addOrganizationMember = (organizationId, userId, role = 'member') => {
+  return Organization.updateOne(
+    { _id: organizationId, 'members.user': { $ne: userId } },
+    { $push: { members: { user: userId, role, joinedAt: new Date() } } }
+  );
+};
+
+// Move a user's projects that predate organizations into an organization,
+// bringing their members along
+const adoptProjects = async (organization, ownerId) => {
+  const projects = await Project.find({ owner: ownerId, organization: null }).select('members');
+  if (projects.length === 0) return 0;
+
+  await Project.updateMany(
+    { _id: { $in: projects.map(project => project._id) } },
+    { organization: organization._id }
+  );
+
+  const memberIds = new Set(projects.flatMap(project => project.members.map(member => member.user.toString())));
+  memberIds.delete(ownerId.toString());
+  for (const memberId of memberIds) {
+    await addOrganizationMember(organization._id, memberId);
+  }
+
+  return projects.length;
+};
+
+// Every user has a personal organization, created on first use
+const ensurePersonalOrganization = async (user) => {
+  let organization = await Organization.findOne({ owner: user._id, isPersonal: true });
+
+  if (!organization) {
+    try {
+      organization = await Organization.create({
+        name: `${user.firstName}'s workspace`,
+        slug: await uniqueSlug(user.username),
+        owner: user._id,
+        isPersonal: true
+      });
+    } catch (error) {
+      // A concurrent request created it first
+      if (error.code !== 11000) throw error;
+      organization = await Organization.findOne({ owner: user._id, isPersonal: true });
+    }
+  }
+
+  await adoptProjects(organization, user._id);
+  return organization;
+};
+
+// One-off upgrade run at startup: put every project without an organization
+// into its owner's personal organization
+const migrateLegacyProjects = async () => {
+  const ownerIds = await Project.distinct('owner', { organization: null });
+
+  for (const ownerId of ownerIds) {
+    const owner = await User.findById(ownerId);
+    if (owner) await ensurePersonalOrganization(owner);
+  }
+
+  if (ownerIds.length > 0) {
+    console.log(`🏢 Moved projects of ${ownerIds.length} users into personal organizations`);
+  }
+};
+
+module.exports = {
+  slugify,
+  uniqueSlug,
+  isOrganizationMember,
+  addOrganizationMember,
+  ensurePersonalOrganization,
+  migrateLegacyProjects
+};
\ No newline at end of file
@@ -0,0 +1,49 @@
+// Fractional ranks: strings that sort in board order, so moving a card only
+// needs a new rank between its neighbours and never renumbers other tasks
+const DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+const APPEND_WIDTH = 4;
+
+// Rank strictly between two ranks; null means the start or end of the list
+const rankBetween = (before, after) => {
+  const low = before || '';
+  let high = after || null;
+  let rank = '';
+
+  for (let i = 0; ; i += 1) {
+    const lowDigit = i < low.length ? DIGITS.indexOf(low[i]) : 0;
+    const highDigit = high !== null && i < high.length ? DIGITS.indexOf(high[i]) : BASE;
+
+    if (highDigit - lowDigit > 1) {
+      return rank + DIGITS[Math.floor((lowDigit + highDigit) / 2)];
+    }
+
+    rank += DIGITS[lowDigit];
+    // Once below the upper rank at this digit, everything after is free
+    if (lowDigit < highDigit) high = null;
+  }
+};
+
+// Rank after the last card of a list. Steps by the smallest digit of a
+// fixed width instead of halving, so repeated appends stay short.
+const rankAfter = (last) => {
+  if (!last) return rankBetween(null, null);
+
+  const digits = last.padEnd(Math.max(last.length, APPEND_WIDTH), '0')
+    .split('')
+    .map(digit => DIGITS.indexOf(digit));
+
+  for (let i = digits.length - 1; i >= 0; i -= 1) {
+    if (digits[i] < BASE - 1) {
+      digits[i] += 1;
+      return digits.slice(0, i + 1).map(digit => DIGITS[digit]).join('');
+    }
+  }
+
+  return rankBetween(last, null);
+};
+
+module.exports = {
+  rankBetween,
+  rankAfter
+};
\ No newline at end of file
@@ -0,0 +1,452 @@
+const TaskSeries = require('../models/TaskSeries');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { nextRank } = require('./board');
+const { getWorkflow } = require('./workflows');
+const { isMember } = require('./invites');
+const { TASK_FIELDS, snapshot, recordActivity } = require('./activity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = TaskSeries.schema.path('rule.frequency').enumValues;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Fields "all future occurrences" edits carry over to later occurrences
+const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'assignee', 'labels', 'estimatedHours', 'storyPoints'];
+
+// Error with a message that is safe to send back to the client
+const recurrenceError = (message) => {
+  const error = new Error(message);
+  error.name = 'RecurrenceError';
+  return error;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// `start` moved `months` months ahead onto `day` (-1 for the last day),
+// keeping its time. Days past the end of a month fall on its last day.
+const monthDate = (start, months, day) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const date = new Date(start);
+  date.setUTCDate(1);
+  date.setUTCFullYear(year, month, day === -1 ? lastDay : Math.min(day, lastDay));
+  return date;
+};
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) throw recurrenceError(`Invalid UNTIL value "${value}"`);
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+};
+
+// Read the supported subset of an iCalendar RRULE
+// (FREQ, INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL)
+const parseRRule = (text) => {
+  const rule = {};
+
+  String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [key, value = ''] = part.split('=').map(item => item.trim().toUpperCase());
+    switch (key) {
+      case 'FREQ':
+        rule.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        rule.interval = Number(value);
+        break;
+      case 'BYDAY':
+        rule.byWeekday = value.split(',').map(day => {
+          if (!WEEKDAYS.includes(day)) throw recurrenceError(`Unsupported BYDAY value "${day}"`);
+          return WEEKDAYS.indexOf(day);
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = Number(value);
+        break;
+      case 'COUNT':
+        rule.count = Number(value);
+        break;
+      case 'UNTIL':
+        rule.until = parseUntil(value);
+        break;
+      default:
+        throw recurrenceError(`Unsupported recurrence rule part "${key}"`);
+    }
+  });
+
+  return rule;
+};
+
+// Validate a rule given as an object or an RRULE string
+const normalizeRule = (input) => {
+  if (!input) throw recurrenceError('A recurrence rule is required');
+  const source = typeof input === 'string' ? parseRRule(input) : input;
+
+  const rule = {
+    frequency: String(source.frequency || '').toLowerCase(),
+    interval: source.interval === undefined || source.interval === null ? 1 : Number(source.interval)
+  };
+
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    throw recurrenceError(`Frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+    throw recurrenceError('Interval must be a whole number between 1 and 365');
+  }
+
+  if (source.byWeekday !== undefined && source.byWeekday !== null) {
+    const days = Array.isArray(source.byWeekday) ? source.byWeekday.map(Number) : [];
+    if (rule.frequency !== 'weekly' || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      throw recurrenceError('byWeekday takes weekdays 0-6 (0 = Sunday) and only applies to weekly rules');
+    }
+    rule.byWeekday = [...new Set(days)].sort();
+  }
+
+  if (source.byMonthDay !== undefined && source.byMonthDay !== null) {
+    const day = Number(source.byMonthDay);
+    if (rule.frequency !== 'monthly' || !Number.isInteger(day) || day === 0 || day < -1 || day > 31) {
+      throw recurrenceError('byMonthDay takes 1-31 or -1 (last day) and only applies to monthly rules');
+    }
+    rule.byMonthDay = day;
+  }
+
+  const hasCount = source.count !== undefined && source.count !== null;
+  const hasUntil = source.until !== undefined && source.until !== null;
+  if (hasCount && hasUntil) {
+    throw recurrenceError('A rule can end by count or by date, not both');
+  }
+  if (hasCount) {
+    rule.count = Number(source.count);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 1000) {
+      throw recurrenceError('Count must be a whole number between 1 and 1000');
+    }
+  }
+  if (hasUntil) {
+    rule.until = new Date(source.until);
+    if (isNaN(rule.until.getTime())) throw recurrenceError('Invalid end date');
+  }
+
+  return rule;
+};
+
+// First date of the rule after `after`, counting from the series start;
+// null once the rule's end date has passed
+const nextOccurrenceDate = (rule, start, after) => {
+  const interval = rule.interval || 1;
+  const elapsedDays = Math.max(Math.floor((after - start) / DAY_MS), -1);
+  let date = null;
+
+  if (rule.frequency === 'daily') {
+    date = addDays(start, (Math.floor(Math.max(elapsedDays, 0) / interval) + 1) * interval);
+  } else if (rule.frequency === 'weekly') {
+    const weekdays = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : [start.getUTCDay()];
+    const weekStart = addDays(start, -start.getUTCDay());
+    for (let offset = elapsedDays + 1; !date; offset += 1) {
+      const candidate = addDays(start, offset);
+      const week = Math.floor(Math.round((candidate - weekStart) / DAY_MS) / 7);
+      if (week % interval === 0 && weekdays.includes(candidate.getUTCDay())) date = candidate;
+    }
+  } else {
+    const step = rule.frequency === 'yearly' ? 12 * interval : interval;
+    const day = rule.frequency === 'monthly' && rule.byMonthDay ? rule.byMonthDay : start.getUTCDate();
+    const elapsedMonths = (after.getUTCFullYear() - start.getUTCFullYear()) * 12 + after.getUTCMonth() - start.getUTCMonth();
+    for (let index = Math.max(Math.floor(elapsedMonths / step), 0); !date; index += 1) {
+      const candidate = monthDate(start, index * step, day);
+      if (candidate > after) date = candidate;
+    }
+  }
+
+  return rule.until && date > rule.until ? null : date;
+};
+
+// Date after the series' latest occurrence, or null when the rule has run out
+const followingDate = (series, after) => {
+  if (series.rule.count && series.occurrenceCount >= series.rule.count) return null;
+  return nextOccurrenceDate(series.rule, series.startDate, after);
+};
+
+const nextRunOf = (series, date) => {
+  return series.generate === 'on-schedule' && date ? addDays(date, -series.leadDays) : null;
+};
+
+const templateFromTask = (task) => ({
+  title: task.title,
+  description: task.description,
+  priority: task.priority,
+  assignee: task.assignee ? task.assignee._id || task.assignee : null,
+  labels: task.labels.map(label => ({ name: label.name, color: label.color })),
+  subtasks: task.subtasks.map(subtask => subtask.title),
+  estimatedHours: task.estimatedHours,
+  storyPoints: task.storyPoints
+});
+
+// Rule, generation mode and copy options from request input
+const seriesOptions = (input = {}) => {
+  const options = { rule: normalizeRule(input.rule) };
+
+  if (input.generate !== undefined) {
+    if (!['on-completion', 'on-schedule'].includes(input.generate)) {
+      throw recurrenceError('generate must be "on-completion" or "on-schedule"');
+    }
+    options.generate = input.generate;
+  }
+  if (input.leadDays !== undefined) {
+    options.leadDays = Number(input.leadDays);
+    if (!Number.isInteger(options.leadDays) || options.leadDays < 0 || options.leadDays > 365) {
+      throw recurrenceError('leadDays must be a whole number between 0 and 365');
+    }
+  }
+  if (input.copy !== undefined) {
+    options.copy = {};
+    ['assignee', 'labels', 'subtasks'].forEach(field => {
+      if (input.copy[field] !== undefined) options.copy[field] = input.copy[field] === true;
+    });
+  }
+
+  return options;
+};
+
+// Turn a task into the first occurrence of a new series. The task's due
+// date (or now) anchors the schedule. Nothing is written: the caller saves
+// the task first and the series once that has worked.
+const buildSeries = async (task, input, user) => {
+  const options = seriesOptions(input);
+  const startDate = task.dueDate || new Date();
+  if (!task.dueDate) task.dueDate = startDate;
+
+  const series = new TaskSeries({
+    ...options,
+    project: task.project._id || task.project,
+    createdBy: user._id,
+    startDate,
+    template: templateFromTask(task),
+    occurrenceCount: 1,
+    lastOccurrenceDate: startDate,
+    currentTask: task._id
+  });
+  series.nextOccurrenceDate = followingDate(series, startDate);
+  series.nextRunAt = nextRunOf(series, series.nextOccurrenceDate);
+  await series.validate();
+
+  task.series = series._id;
+  task.occurrence = 1;
+  return series;
+};
+
+// Change the rule or options of a series from its latest occurrence onwards
+const updateSeries = async (series, input) => {
+  const options = seriesOptions(input);
+  Object.keys(options).forEach(field => {
+    if (field === 'copy') {
+      Object.keys(options.copy).forEach(key => series.set(`copy.${key}`, options.copy[key]));
+    } else {
+      series[field] = options[field];
+    }
+  });
+
+  // The new rule counts from the latest occurrence
+  series.startDate = series.lastOccurrenceDate;
+  series.isActive = true;
+  series.endedAt = undefined;
+  series.nextOccurrenceDate = followingDate(series, series.lastOccurrenceDate);
+  series.nextRunAt = nextRunOf(series, series.nextOccurrenceDate);
+  if (!series.nextOccurrenceDate) {
+    series.isActive = false;
+    series.endedAt = new Date();
+  }
+  await series.save();
+  return series;
+};
+
+const stopSeries = (series) => {
+  series.isActive = false;
+  series.endedAt = new Date();
+  series.nextOccurrenceDate = null;
+  series.nextRunAt = null;
+  return series.save();
+};
+
+// Create the series' next occurrence on `date`. Returns the new task, or
+// null when the series has ended or another request already created it.
+const createOccurrence = async (series, date, io) => {
+  const project = await Project.findById(series.project);
+  if (!project) {
+    await stopSeries(series);
+    return null;
+  }
+
+  // Paused while the project is archived or in the trash
+  if (project.isArchived || project.deletedAt) return null;
+
+  const number = series.occurrenceCount + 1;
+  const following = followingDate({ ...series.toObject(), occurrenceCount: number }, date);
+
+  // Conditional update so the scheduler and a completing request cannot both
+  // create the same occurrence
+  const claimed = await TaskSeries.findOneAndUpdate(
+    { _id: series._id, isActive: true, occurrenceCount: series.occurrenceCount },
+    {
+      $set: {
+        occurrenceCount: number,
+        lastOccurrenceDate: date,
+        nextOccurrenceDate: following,
+        nextRunAt: nextRunOf(series, following),
+        isActive: !!following,
+        endedAt: following ? null : new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const { template, copy } = claimed;
+  // Assignees who left the project are not carried over
+  const assignee = copy.assignee && template.assignee && isMember(project, { _id: template.assignee })
+    ? template.assignee
+    : null;
+
+  const task = new Task({
+    title: template.title,
+    description: template.description || '',
+    project: project._id,
+    assignee,
+    reporter: claimed.createdBy,
+    priority: template.priority || 'medium',
+    dueDate: date,
+    estimatedHours: template.estimatedHours || null,
+    storyPoints: template.storyPoints === undefined ? null : template.storyPoints,
+    labels: copy.labels ? template.labels : [],
+    subtasks: copy.subtasks ? template.subtasks.map(title => ({ title })) : [],
+    watchers: [claimed.createdBy, assignee].filter(Boolean),
+    series: claimed._id,
+    occurrence: number
+  });
+  try {
+    task.rank = await nextRank(project._id);
+    task.$locals.workflow = getWorkflow(project);
+    await task.save();
+  } catch (error) {
+    // Give the occurrence back so the next run can create it
+    await TaskSeries.updateOne(
+      { _id: series._id, occurrenceCount: number },
+      {
+        $set: {
+          occurrenceCount: series.occurrenceCount,
+          lastOccurrenceDate: series.lastOccurrenceDate,
+          nextOccurrenceDate: series.nextOccurrenceDate,
+          nextRunAt: series.nextRunAt,
+          isActive: series.isActive,
+          endedAt: series.endedAt || null
+        }
+      }
+    );
+    throw error;
+  }
+
+  await TaskSeries.updateOne({ _id: claimed._id }, { $set: { currentTask: task._id } });
+
+  const initial = snapshot(task, TASK_FIELDS);
+  await recordActivity({
+    actor: claimed.createdBy,
+    type: 'task.created',
+    project: project._id,
+    task: task._id,
+    targetName: task.title,
+    changes: Object.keys(initial)
+      .filter(field => initial[field] !== null && !(Array.isArray(initial[field]) && initial[field].length === 0))
+      .map(field => ({ field, from: null, to: initial[field] })),
+    data: { seriesId: claimed._id, occurrence: number }
+  });
+
+  if (io) {
+    const populatedTask = await Task.findById(task._id)
+      .populate('assignee', 'firstName lastName username avatar')
+      .populate('reporter', 'firstName lastName username avatar')
+      .populate('project', 'name color');
+    io.to(project._id.toString()).emit('task-created', {
+      task: populatedTask,
+      projectId: project._id.toString()
+    });
+  }
+
+  return task;
+};
+
+// Called when an occurrence is done or deleted: series that generate on
+// completion create the next one. Completing an older occurrence does nothing.
+const advanceSeries = async (task, io) => {
+  if (!task.series) return null;
+
+  const series = await TaskSeries.findById(task.series);
+  if (!series || !series.isActive || series.generate !== 'on-completion') return null;
+  if (!series.currentTask || !series.currentTask.equals(task._id)) return null;
+
+  // Late completions skip the dates that have already passed
+  const after = new Date(Math.max(series.lastOccurrenceDate.getTime(), Date.now()));
+  const date = followingDate(series, after);
+  if (!date) {
+    await stopSeries(series);
+    return null;
+  }
+
+  return createOccurrence(series, date, io);
+};
+
+// Apply an "all future occurrences" edit: refresh the series template and
+// give later open occurrences the same values. Returns the updated tasks.
+const applyToFutureOccurrences = async (task, fields) => {
+  const series = await TaskSeries.findById(task.series);
+  if (!series) return [];
+
+  series.template = templateFromTask(task);
+  await series.save();
+
+  const changed = TEMPLATE_FIELDS.filter(field => fields.includes(field));
+  if (changed.length === 0) return [];
+
+  const later = await Task.find({
+    series: series._id,
+    occurrence: { $gt: task.occurrence },
+    statusCategory: { $ne: 'done' }
+  });
+
+  const values = task.toObject({ depopulate: true });
+  for (const occurrence of later) {
+    changed.forEach(field => {
+      occurrence[field] = values[field];
+    });
+    await occurrence.save();
+  }
+
+  return later;
+};
+
+// Upcoming dates of a series, for previews
+const upcomingDates = (series, limit = 5) => {
+  const dates = [];
+  let date = series.nextOccurrenceDate;
+  let count = series.occurrenceCount;
+
+  while (date && dates.length < limit) {
+    dates.push(date);
+    count += 1;
+    date = followingDate({ rule: series.rule, startDate: series.startDate, occurrenceCount: count }, date);
+  }
+
+  return dates;
+};
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  parseRRule,
+  normalizeRule,
+  nextOccurrenceDate,
+  buildSeries,
+  updateSeries,
+  stopSeries,
+  createOccurrence,
+  advanceSeries,
+  applyToFutureOccurrences,
+  upcomingDates
+};
\ No newline at end of file
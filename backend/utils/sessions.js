@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { authError } = require('../middleware/auth');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('hex');
+
+// Short description of the browser and OS behind a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent ? userAgent.slice(0, 100) : 'Unknown device';
+  return [browser && browser[0], os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+const getClientInfo = (req) => {
+  const userAgent = req.get('User-Agent') || '';
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip || '' };
+};
+
+// Access token plus a refresh token of the form <sessionId>.<secret>
+const issueTokens = (session, secret) => ({
+  token: jwt.sign(
+    { userId: session.user, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  ),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a new session for a user who just signed in
+const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * DAY_MS),
+    ...getClientInfo(req)
+  });
+
+  return issueTokens(session, secret);
+};
+
+// Revoke the active sessions matching a filter and return their IDs
+const revokeSessions = async (filter, reason) => {
+  const query = { ...filter, revokedAt: null };
+  const sessions = await Session.find(query).select('_id');
+  if (sessions.length === 0) return [];
+
+  const ids = sessions.map(session => session._id);
+  await Session.updateMany({ _id: { $in: ids }, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+  return ids.map(id => id.toString());
+};
+
+// Exchange a refresh token for a new token pair. Each refresh token works
+// once; presenting one that was already rotated out revokes the session,
+// since it means the token was copied.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) {
+    throw authError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw authError('Session has expired, please log in again');
+  }
+
+  const hash = hashToken(secret);
+  if (hash === session.previousTokenHash) {
+    await revokeSessions({ _id: session._id }, 'refresh-token-reuse');
+    throw authError('Refresh token has already been used');
+  }
+  if (hash !== session.refreshTokenHash) {
+    throw authError('Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user).select('isActive');
+  if (!user || !user.isActive) {
+    await revokeSessions({ _id: session._id }, 'deactivated');
+    throw authError('Account is deactivated');
+  }
+
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const nextSecret = newSecret();
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: hash, revokedAt: null },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      previousTokenHash: hash,
+      lastUsedAt: new Date(),
+      ...getClientInfo(req)
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw authError('Refresh token has already been used');
+  }
+
+  return issueTokens(updated, nextSecret);
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSessions
+};
\ No newline at end of file
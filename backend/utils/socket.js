@@ -0,0 +1,164 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { verifyToken } = require('../middleware/auth');
+
+// Personal room that every socket of a user joins
+const userRoom = (userId) => `user:${userId.toString()}`;
+
+// Room for sockets currently viewing a task
+const taskRoom = (taskId) => `task:${taskId.toString()}`;
+
+// Room for the sockets opened with one login session
+const sessionRoom = (sessionId) => `session:${sessionId.toString()}`;
+
+// Read the JWT from the handshake auth payload, falling back to the Authorization header
+const getHandshakeToken = (socket) => {
+  const { auth, headers } = socket.handshake;
+  if (auth && auth.token) return auth.token.replace('Bearer ', '');
+  if (headers && headers.authorization) return headers.authorization.replace('Bearer ', '');
+  return null;
+};
+
+// Check whether a user is the owner or a member of a project
+const isProjectMember = async (projectId, userId) => {
+  const project = await Project.findOne({
+    _id: projectId,
+    deletedAt: null,
+    $or: [
+      { owner: userId },
+      { 'members.user': userId }
+    ]
+  }).select('_id');
+  return !!project;
+};
+
+// Authenticate sockets and join them to the rooms they are entitled to
+const initSocket = (io) => {
+  io.use(async (socket, next) => {
+    try {
+      const { user, sessionId } = await verifyToken(getHandshakeToken(socket));
+      socket.data.user = user;
+      socket.data.sessionId = sessionId;
+      next();
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') return next(new Error('Token has expired'));
+      next(new Error(error.name === 'AuthError' ? error.message : 'Token is not valid'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    const user = socket.data.user;
+    console.log('👤 User connected:', socket.id, user.username);
+
+    socket.join(userRoom(user._id));
+    socket.join(sessionRoom(socket.data.sessionId));
+
+    try {
+      const projects = await Project.find({
+        deletedAt: null,
+        $or: [
+          { owner: user._id },
+          { 'members.user': user._id }
+        ]
+      }).select('_id');
+
+      projects.forEach(project => socket.join(project._id.toString()));
+    } catch (error) {
+      console.error('Socket room join error:', error);
+    }
+
+    // Re-join a project room, e.g. after a membership change; verified server-side
+    socket.on('join-project', async (projectId, ack) => {
+      try {
+        const allowed = /^[a-f\d]{24}$/i.test(String(projectId)) &&
+                        await isProjectMember(projectId, user._id);
+
+        if (allowed) socket.join(String(projectId));
+        if (typeof ack === 'function') ack({ ok: allowed });
+      } catch (error) {
+        console.error('Socket join-project error:', error);
+        if (typeof ack === 'function') ack({ ok: false });
+      }
+    });
+
+    socket.on('leave-project', (projectId) => {
+      socket.leave(String(projectId));
+    });
+
+    // Follow live task-level events while a task is open; verified server-side
+    socket.on('join-task', async (taskId, ack) => {
+      try {
+        let allowed = false;
+        if (/^[a-f\d]{24}$/i.test(String(taskId))) {
+          const task = await Task.findById(taskId).select('project');
+          allowed = !!task && await isProjectMember(task.project, user._id);
+        }
+
+        if (allowed) socket.join(taskRoom(taskId));
+        if (typeof ack === 'function') ack({ ok: allowed });
+      } catch (error) {
+        console.error('Socket join-task error:', error);
+        if (typeof ack === 'function') ack({ ok: false });
+      }
+    });
+
+    socket.on('leave-task', (taskId) => {
+      socket.leave(taskRoom(taskId));
+    });
+
+    socket.on('disconnect', () => {
+      console.log('👤 User disconnected:', socket.id);
+    });
+  });
+};
+
+// Add all of a user's connected sockets to a project room
+const joinProjectRoom = (io, userId, projectId) => {
+  io.in(userRoom(userId)).socketsJoin(projectId.toString());
+};
+
+// Remove all of a user's connected sockets from a project room and from the
+// rooms of the project's tasks they joined
+const leaveProjectRoom = async (io, userId, projectId) => {
+  io.in(userRoom(userId)).socketsLeave(projectId.toString());
+
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  const taskIds = [...new Set(sockets.flatMap(socket => [...socket.rooms]))]
+    .filter(room => room.startsWith('task:'))
+    .map(room => room.slice('task:'.length));
+  if (taskIds.length === 0) return;
+
+  const tasks = await Task.find({ _id: { $in: taskIds }, project: projectId }).select('_id');
+  if (tasks.length > 0) {
+    io.in(userRoom(userId)).socketsLeave(tasks.map(task => taskRoom(task._id)));
+  }
+};
+
+// Emit an event to every connected socket of a user
+const emitToUser = (io, userId, event, data) => {
+  io.to(userRoom(userId)).emit(event, data);
+};
+
+// Disconnect the sockets opened with revoked sessions
+const disconnectSessions = (io, sessionIds) => {
+  if (sessionIds.length === 0) return;
+  io.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+};
+
+// Emit a task-level event to the task's watchers and to anyone viewing the task
+const emitToTask = (io, task, event, data) => {
+  const rooms = [taskRoom(task._id)];
+  (task.watchers || []).forEach(watcher => rooms.push(userRoom(watcher._id || watcher)));
+  io.to(rooms).emit(event, data);
+};
+
+module.exports = {
+  initSocket,
+  userRoom,
+  taskRoom,
+  emitToTask,
+  joinProjectRoom,
+  leaveProjectRoom,
+  emitToUser,
+  disconnectSessions
+};
@@ -0,0 +1,131 @@
+const Sprint = require('../models/Sprint');
+const Task = require('../models/Task');
+const { getWorkflow, findState } = require('./workflows');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WORKING_DAYS = [1, 2, 3, 4, 5];
+
+const pointsOf = (task) => task.storyPoints || 0;
+
+const sumPoints = (tasks) => tasks.reduce((total, task) => total + pointsOf(task), 0);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const workingDaysOf = (project) => {
+  const days = project.settings && project.settings.workingDays;
+  return days && days.length > 0 ? days : DEFAULT_WORKING_DAYS;
+};
+
+// Tasks that count towards a sprint's scope; cancelled tasks drop out of it
+const getSprintTasks = async (sprint, project) => {
+  const workflow = getWorkflow(project);
+  const tasks = await Task.find({ sprint: sprint._id, isArchived: false })
+    .select('title status statusCategory storyPoints completedAt');
+
+  return tasks.filter(task => {
+    const state = findState(workflow, task.status);
+    return !(state && state.cancelled);
+  });
+};
+
+const isFinished = (task) => task.statusCategory === 'done';
+
+// Planned, finished and remaining points of a sprint plus how much of its
+// capacity is still free
+const summarizeSprint = (sprint, tasks) => {
+  const plannedPoints = sumPoints(tasks);
+  const completedPoints = sumPoints(tasks.filter(isFinished));
+
+  return {
+    taskCount: tasks.length,
+    plannedPoints,
+    completedPoints,
+    remainingPoints: plannedPoints - completedPoints,
+    unestimatedTasks: tasks.filter(task => task.storyPoints === null || task.storyPoints === undefined).length,
+    remainingCapacity: sprint.capacity !== null && sprint.capacity !== undefined
+      ? sprint.capacity - plannedPoints
+      : null
+  };
+};
+
+// Burndown and burnup of a sprint as of the end of each day. The ideal line
+// only drops on the project's working days; carried-over tasks stay
+// unfinished for good.
+const buildBurndown = (sprint, project, tasks) => {
+  const start = startOfDay(sprint.startDate);
+  const end = startOfDay(sprint.endDate);
+  const today = startOfDay(sprint.completedAt || new Date());
+  const workingDays = workingDaysOf(project);
+
+  const carriedPoints = sumPoints(sprint.carriedOver || []);
+  const scope = sumPoints(tasks) + carriedPoints;
+  const committed = sprint.status === 'planned' ? scope : sprint.committedPoints;
+
+  const days = [];
+  for (let day = new Date(start); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    days.push(day);
+  }
+
+  const totalWorkingDays = days.filter(day => workingDays.includes(day.getUTCDay())).length;
+  let workingDaysElapsed = 0;
+
+  return days.map(day => {
+    if (workingDays.includes(day.getUTCDay())) workingDaysElapsed += 1;
+    const ideal = totalWorkingDays > 0
+      ? committed * (1 - workingDaysElapsed / totalWorkingDays)
+      : committed;
+
+    const point = {
+      date: day.toISOString().slice(0, 10),
+      ideal: Math.round(ideal * 10) / 10
+    };
+
+    // No actuals for days that have not happened yet
+    if (day <= today) {
+      const endOfDay = new Date(day.getTime() + DAY_MS);
+      const completed = sumPoints(tasks.filter(task => {
+        return isFinished(task) && task.completedAt && task.completedAt < endOfDay;
+      }));
+      point.remaining = scope - completed;
+      point.completed = completed;
+      point.scope = scope;
+    }
+
+    return point;
+  });
+};
+
+// Committed and completed points of the project's last `count` finished sprints
+const getVelocity = async (projectId, count = 5) => {
+  const sprints = await Sprint.find({ project: projectId, status: 'completed' })
+    .sort({ completedAt: -1 })
+    .limit(count)
+    .select('name startDate endDate committedPoints completedPoints');
+
+  const history = sprints.reverse().map(sprint => ({
+    _id: sprint._id,
+    name: sprint.name,
+    startDate: sprint.startDate,
+    endDate: sprint.endDate,
+    committedPoints: sprint.committedPoints,
+    completedPoints: sprint.completedPoints
+  }));
+
+  const average = history.length > 0
+    ? Math.round(history.reduce((total, sprint) => total + sprint.completedPoints, 0) / history.length * 10) / 10
+    : null;
+
+  return { sprints: history, average };
+};
+
+module.exports = {
+  sumPoints,
+  getSprintTasks,
+  summarizeSprint,
+  buildBurndown,
+  getVelocity
+};
\ No newline at end of file
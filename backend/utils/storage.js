@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Local filesystem driver: files live under a root directory, keyed by project
+const createLocalStorage = (rootDir) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(file, prefix) {
+      const ext = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+      const key = path.posix.join(prefix, `${crypto.randomBytes(16).toString('hex')}${ext}`);
+      const filePath = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, file.buffer);
+
+      return { key, filename: path.basename(key) };
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'))
+};
+
+let storage = null;
+
+// Get the configured storage driver (STORAGE_DRIVER, defaults to local disk)
+const getStorage = () => {
+  if (!storage) {
+    const driverName = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driverName]) {
+      throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+    storage = drivers[driverName]();
+  }
+  return storage;
+};
+
+// Register an additional driver factory, e.g. for object storage
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  storage = null;
+};
+
+// Collect the storage keys of every task and comment attachment on a task
+const getTaskAttachmentKeys = (task) => {
+  const keys = task.attachments.map(attachment => attachment.key);
+  task.comments.forEach(comment => {
+    comment.attachments.forEach(attachment => keys.push(attachment.key));
+  });
+  return keys.filter(Boolean);
+};
+
+// Remove stored files, logging failures instead of throwing
+const removeStoredFiles = async (keys) => {
+  const storageDriver = getStorage();
+  await Promise.all(keys.map(key =>
+    storageDriver.remove(key).catch(error => console.error('Remove file error:', error))
+  ));
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage,
+  registerStorageDriver,
+  getTaskAttachmentKeys,
+  removeStoredFiles
+};
@@ -0,0 +1,29 @@
+const { notifySafely, getTaskAudience } = require('./notifications');
+const { advanceSeries } = require('./recurrence');
+
+// What follows a task's status change, shared by the single-task and bulk routes
+
+const notifyStatusChange = (req, task, previousStatus, state) => {
+  notifySafely(req.io, {
+    recipients: getTaskAudience(task),
+    actor: req.user._id,
+    type: 'status-changed',
+    title: `"${task.title}" moved to ${state.name}`,
+    message: `${req.user.fullName} changed the status from ${previousStatus} to ${task.status}`,
+    task: task._id,
+    project: task.project._id,
+    data: { from: previousStatus, to: task.status }
+  });
+};
+
+// A finished, archived or deleted occurrence of a recurring task may create
+// the next one; failures are logged and never fail the request
+const advanceRecurrence = async (req, task) => {
+  try {
+    await advanceSeries(task, req.io);
+  } catch (error) {
+    console.error('Advance recurring task error:', error);
+  }
+};
+
+module.exports = { notifyStatusChange, advanceRecurrence };
\ No newline at end of file
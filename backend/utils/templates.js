@@ -0,0 +1,138 @@
+const Task = require('../models/Task');
+const { rankAfter } = require('./ranking');
+const { nextRank } = require('./board');
+const { getWorkflow, cloneWorkflow, initialStateOf } = require('./workflows');
+const { isMember } = require('./invites');
+const { canInOrganization } = require('../middleware/permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TEMPLATE_TASKS = 500;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Whole days from `base` to `date`, or null without a date
+const dayOffset = (date, base) => {
+  return date ? Math.round((startOfDay(date) - startOfDay(base)) / DAY_MS) : null;
+};
+
+const shiftDate = (base, days) => {
+  return days === null || days === undefined ? null : new Date(startOfDay(base).getTime() + days * DAY_MS);
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Template copy of a task, with its due date relative to `base`
+const templateTaskFrom = (task, base) => ({
+  title: task.title,
+  description: task.description,
+  priority: task.priority,
+  assignee: task.assignee ? idOf(task.assignee) : null,
+  labels: task.labels.map(({ name, color }) => ({ name, color })),
+  subtasks: task.subtasks.map(subtask => subtask.title),
+  estimatedHours: task.estimatedHours,
+  storyPoints: task.storyPoints,
+  dueOffsetDays: dayOffset(task.dueDate, base)
+});
+
+// Template contents of a project and its tasks (in board order). Member roles
+// are only kept with includeMembers; the owner of a new project is whoever uses it.
+const projectTemplateFrom = (project, tasks, { includeMembers = false } = {}) => {
+  const base = project.startDate || project.createdAt;
+
+  return {
+    project: {
+      description: project.description,
+      priority: project.priority,
+      color: project.color,
+      tags: project.tags,
+      labels: project.labels.map(({ name, color }) => ({ name, color })),
+      workflow: cloneWorkflow(getWorkflow(project)),
+      workingDays: project.settings.workingDays,
+      deadlineOffsetDays: dayOffset(project.deadline, base),
+      members: includeMembers
+        ? project.members
+          .filter(member => member.role !== 'owner')
+          .map(member => ({ user: idOf(member.user), role: member.role }))
+        : []
+    },
+    tasks: tasks.map(task => templateTaskFrom(task, base))
+  };
+};
+
+// Personal templates are for their owner; organization templates for the
+// organization they were saved in
+const canUseTemplate = (template, user, organizationId) => {
+  if (template.visibility === 'personal') return template.owner.equals(user._id);
+  return !!organizationId && template.organization.equals(organizationId);
+};
+
+// Owners manage their templates; organization managers also manage the
+// organization's shared ones
+const canManageTemplate = (template, user, organizationId, organizationRole) => {
+  if (template.owner.equals(user._id)) return true;
+  return template.visibility === 'organization' &&
+    canUseTemplate(template, user, organizationId) &&
+    canInOrganization(organizationRole, 'manage-organization');
+};
+
+// Fields for a new task from a template task. Assignees who are not members
+// of the project are dropped.
+const taskFieldsFrom = (templateTask, project, startDate) => {
+  const assignee = templateTask.assignee && isMember(project, { _id: templateTask.assignee })
+    ? templateTask.assignee
+    : null;
+
+  return {
+    title: templateTask.title,
+    description: templateTask.description || '',
+    priority: templateTask.priority || 'medium',
+    assignee,
+    labels: templateTask.labels.map(({ name, color }) => ({ name, color })),
+    subtasks: templateTask.subtasks.map(title => ({ title })),
+    estimatedHours: templateTask.estimatedHours || null,
+    storyPoints: templateTask.storyPoints === undefined ? null : templateTask.storyPoints,
+    dueDate: shiftDate(startDate, templateTask.dueOffsetDays)
+  };
+};
+
+// Create the tasks of a project template in a new project, keeping their order
+const createTemplateTasks = async (template, project, startDate, reporter) => {
+  const workflow = getWorkflow(project);
+  const status = initialStateOf(workflow);
+  let rank = await nextRank(project._id);
+  const tasks = [];
+
+  for (const templateTask of template.tasks) {
+    const fields = taskFieldsFrom(templateTask, project, startDate);
+    const task = new Task({
+      ...fields,
+      project: project._id,
+      reporter: reporter._id,
+      status,
+      rank,
+      watchers: [reporter._id, fields.assignee].filter(Boolean)
+    });
+    task.$locals.workflow = workflow;
+    await task.save();
+
+    tasks.push(task);
+    rank = rankAfter(rank);
+  }
+
+  return tasks;
+};
+
+module.exports = {
+  MAX_TEMPLATE_TASKS,
+  shiftDate,
+  templateTaskFrom,
+  projectTemplateFrom,
+  canUseTemplate,
+  canManageTemplate,
+  taskFieldsFrom,
+  createTemplateTasks
+};
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Transactions need a replica set or a sharded cluster; a standalone server,
+// like the default local setup, does not support them
+const supportsTransactions = () => {
+  const client = mongoose.connection.getClient();
+  const description = client && client.topology && client.topology.description;
+  return !!description && ['ReplicaSetWithPrimary', 'Sharded', 'LoadBalanced'].includes(description.type);
+};
+
+// Run `work(session)` in a transaction where the server supports them, else
+// directly with a null session. Resolves to whether a transaction was used.
+const withTransaction = async (work) => {
+  if (!supportsTransactions()) {
+    await work(null);
+    return false;
+  }
+
+  // Mongoose resets document state if the transaction is retried or aborted
+  await mongoose.connection.transaction(session => work(session));
+  return true;
+};
+
+module.exports = {
+  supportsTransactions,
+  withTransaction
+};
\ No newline at end of file
@@ -0,0 +1,81 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { authError } = require('../middleware/auth');
+const { verifyCode, decryptSecret, hashRecoveryCode } = require('./totp');
+
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_AUDIENCE = '2fa-challenge';
+
+const challengeKey = () => `${process.env.JWT_SECRET}:${CHALLENGE_AUDIENCE}`;
+
+// Short-lived token proving the password step of a two-step login succeeded
+const issueChallenge = (user) => {
+  return jwt.sign({ sub: user._id.toString() }, challengeKey(), {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_TTL
+  });
+};
+
+// Returns the user ID a challenge token was issued to
+const readChallenge = (token) => {
+  try {
+    return jwt.verify(String(token), challengeKey(), { audience: CHALLENGE_AUDIENCE }).sub;
+  } catch (error) {
+    throw authError('Login challenge is invalid or has expired, please log in again');
+  }
+};
+
+// Accept a TOTP code once per time step; the conditional update stops the
+// same code from being replayed, even by concurrent requests
+const useTotpCode = async (user, secret, code) => {
+  const step = verifyCode(decryptSecret(secret), code);
+  if (step === null) return false;
+
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': null },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { 'twoFactor.lastUsedStep': step },
+    { new: true }
+  );
+
+  if (!updated) return false;
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Remove a recovery code if it is one of the user's unused codes
+const useRecoveryCode = async (user, recoveryCode) => {
+  const hash = hashRecoveryCode(recoveryCode);
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } },
+    { new: true }
+  );
+
+  if (!updated) return false;
+  user.twoFactor.recoveryCodes = updated.twoFactor.recoveryCodes;
+  return true;
+};
+
+// Check the second factor of a user with 2FA enabled; returns the method
+// that succeeded ('totp' or 'recovery-code') or null
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) return null;
+
+  if (code && await useTotpCode(user, user.twoFactor.secret, code)) return 'totp';
+  if (recoveryCode && await useRecoveryCode(user, recoveryCode)) return 'recovery-code';
+  return null;
+};
+
+module.exports = {
+  issueChallenge,
+  readChallenge,
+  useTotpCode,
+  verifySecondFactor
+};
\ No newline at end of file
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserToken = require('../models/UserToken');
+const User = require('../models/User');
+const { authError } = require('../middleware/auth');
+
+// Lifetime of each kind of link, in minutes
+const TOKEN_TTL_MINUTES = {
+  'password-reset': parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  'email-verification': parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || 48) * 60
+};
+
+// Separate key per purpose so these tokens can never pass as access tokens
+const signingKey = (purpose) => `${process.env.JWT_SECRET}:${purpose}`;
+
+// Issue a signed, expiring, single-use token for a user. Earlier unused
+// tokens for the same purpose stop working so only the latest link is valid.
+const issueUserToken = async (user, purpose, { ttlMinutes = TOKEN_TTL_MINUTES[purpose] } = {}) => {
+  await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const jti = crypto.randomBytes(16).toString('hex');
+
+  await UserToken.create({
+    user: user._id,
+    purpose,
+    jti,
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  const token = jwt.sign({ sub: user._id.toString() }, signingKey(purpose), {
+    jwtid: jti,
+    audience: purpose,
+    expiresIn: ttlMinutes * 60
+  });
+
+  return { token, expiresInMinutes: ttlMinutes };
+};
+
+// Verify a token and mark it used; returns the user it was issued to
+const consumeUserToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), signingKey(purpose), { audience: purpose });
+  } catch (error) {
+    throw authError('This link is invalid or has expired');
+  }
+
+  const record = await UserToken.findOneAndUpdate(
+    { jti: decoded.jti, purpose, user: decoded.sub, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!record) {
+    throw authError('This link has already been used or has expired');
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.isActive || user.email !== record.email) {
+    throw authError('This link is no longer valid');
+  }
+
+  return user;
+};
+
+// Drop outstanding tokens, e.g. after the password changed another way
+const revokeUserTokens = (userId, purpose) => {
+  return UserToken.deleteMany({ user: userId, purpose, usedAt: null });
+};
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+  revokeUserTokens
+};
\ No newline at end of file
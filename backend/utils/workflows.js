@@ -0,0 +1,162 @@
+const { STATUS_CATEGORIES, TRANSITION_FIELDS } = require('../models/workflowSchema');
+
+// Used by projects without a workflow of their own; matches the statuses
+// tasks had before workflows were configurable
+const DEFAULT_WORKFLOW = {
+  states: [
+    { key: 'todo', name: 'To Do', category: 'not-started', color: '#9E9E9E' },
+    { key: 'in-progress', name: 'In Progress', category: 'active', color: '#2196F3' },
+    { key: 'review', name: 'Review', category: 'active', color: '#FF9800' },
+    { key: 'completed', name: 'Completed', category: 'done', color: '#4CAF50' },
+    { key: 'cancelled', name: 'Cancelled', category: 'done', color: '#F44336', cancelled: true }
+  ],
+  initialState: 'todo'
+};
+
+const hasStates = (workflow) => !!workflow && Array.isArray(workflow.states) && workflow.states.length > 0;
+
+// Effective workflow of a project or organization defaults
+const getWorkflow = (source) => {
+  const workflow = source && source.workflow;
+  return hasStates(workflow) ? workflow : DEFAULT_WORKFLOW;
+};
+
+// Plain copy of a workflow, e.g. to seed a new project
+const cloneWorkflow = (workflow) => {
+  const plain = typeof workflow.toObject === 'function' ? workflow.toObject() : workflow;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const findState = (workflow, key) => {
+  return workflow.states.find(state => state.key === key) || null;
+};
+
+const initialStateOf = (workflow) => {
+  return workflow.initialState || workflow.states.find(state => state.category === 'not-started').key;
+};
+
+// Blocked tasks may not start or finish; cancelling is always allowed
+const isGatedState = (state) => {
+  return state.category === 'active' || (state.category === 'done' && !state.cancelled);
+};
+
+const normalizeKey = (key) => String(key || '').trim().toLowerCase();
+
+// Keep only known workflow fields from request input
+const normalizeWorkflow = (input = {}) => ({
+  states: (Array.isArray(input.states) ? input.states : []).map(state => ({
+    key: normalizeKey(state.key),
+    name: String(state.name || state.key || '').trim(),
+    category: state.category,
+    color: state.color || undefined,
+    cancelled: state.cancelled === true,
+    transitionsTo: (Array.isArray(state.transitionsTo) ? state.transitionsTo : []).map(normalizeKey),
+    requiredFields: Array.isArray(state.requiredFields) ? state.requiredFields : []
+  })),
+  initialState: input.initialState ? normalizeKey(input.initialState) : undefined
+});
+
+// Problems with a workflow definition; an empty list means it is valid
+const validateWorkflow = (workflow) => {
+  const problems = [];
+  const states = (workflow && workflow.states) || [];
+
+  if (states.length === 0) {
+    return ['A workflow needs at least one state'];
+  }
+
+  const keys = states.map(state => state.key);
+  const duplicates = keys.filter((key, index) => keys.indexOf(key) !== index);
+  if (duplicates.length > 0) {
+    problems.push(`Duplicate state keys: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  ['not-started', 'done'].forEach(category => {
+    if (!states.some(state => state.category === category)) {
+      problems.push(`A workflow needs at least one "${category}" state`);
+    }
+  });
+
+  states.forEach(state => {
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(state.key) || state.key.length > 30) {
+      problems.push(`State key "${state.key}" must be up to 30 lowercase letters, numbers and dashes`);
+    }
+    if (!state.name || state.name.length > 50) {
+      problems.push(`State "${state.key}" needs a name of up to 50 characters`);
+    }
+    if (state.color && !/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(state.color)) {
+      problems.push(`State "${state.key}" has an invalid color`);
+    }
+    if (!STATUS_CATEGORIES.includes(state.category)) {
+      problems.push(`State "${state.key}" has an invalid category`);
+    }
+    if (state.cancelled && state.category !== 'done') {
+      problems.push(`Only done states can be cancellations ("${state.key}")`);
+    }
+    (state.transitionsTo || []).forEach(target => {
+      if (!keys.includes(target)) {
+        problems.push(`State "${state.key}" allows a transition to unknown state "${target}"`);
+      }
+    });
+    (state.requiredFields || []).forEach(field => {
+      if (!TRANSITION_FIELDS.includes(field)) {
+        problems.push(`State "${state.key}" requires unknown field "${field}"`);
+      }
+    });
+  });
+
+  if (workflow.initialState) {
+    const initial = states.find(state => state.key === workflow.initialState);
+    if (!initial) {
+      problems.push(`Initial state "${workflow.initialState}" is not part of the workflow`);
+    } else if (initial.category !== 'not-started') {
+      problems.push('The initial state must be a "not-started" state');
+    }
+  }
+
+  return problems;
+};
+
+const isBlank = (value) => {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+};
+
+// Why a task may not move (or be created) in state `toKey`, or null when it
+// may. `fromKey` is null for new tasks, which skip the transition rules.
+const checkTransition = (workflow, task, fromKey, toKey) => {
+  const target = findState(workflow, toKey);
+  if (!target) {
+    return { message: `"${toKey}" is not a state of this project's workflow` };
+  }
+
+  const source = fromKey ? findState(workflow, fromKey) : null;
+  const allowed = (source && source.transitionsTo) || [];
+  if (source && fromKey !== toKey && allowed.length > 0 && !allowed.includes(toKey)) {
+    return {
+      message: `Tasks cannot move from ${source.name} to ${target.name}`,
+      allowed
+    };
+  }
+
+  const missingFields = (target.requiredFields || []).filter(field => isBlank(task[field]));
+  if (missingFields.length > 0) {
+    return {
+      message: `Fill in ${missingFields.join(', ')} before moving to ${target.name}`,
+      missingFields
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_WORKFLOW,
+  getWorkflow,
+  cloneWorkflow,
+  findState,
+  initialStateOf,
+  isGatedState,
+  normalizeWorkflow,
+  validateWorkflow,
+  checkTransition
+};
\ No newline at end of file
@@ -53,6 +53,7 @@ import { LoadingSpinnerComponent } from './components/shared/loading-spinner/loa
 // Services & Interceptors
 import { AuthInterceptor } from './interceptors/auth.interceptor';
 import { ErrorInterceptor } from './interceptors/error.interceptor';
+import { OrganizationInterceptor } from './interceptors/organization.interceptor';
 
 @NgModule({
   declarations: [
@@ -112,6 +113,11 @@ import { ErrorInterceptor } from './interceptors/error.interceptor';
       useClass: AuthInterceptor,
       multi: true
     },
+    {
+      provide: HTTP_INTERCEPTORS,
+      useClass: OrganizationInterceptor,
+      multi: true
+    },
     {
       provide: HTTP_INTERCEPTORS,
       useClass: ErrorInterceptor,
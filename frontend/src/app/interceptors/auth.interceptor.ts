@@ -0,0 +1,51 @@
+import { Injectable } from '@angular/core';
+import {
+  HttpErrorResponse,
+  HttpEvent,
+  HttpHandler,
+  HttpInterceptor,
+  HttpRequest
+} from '@angular/common/http';
+import { Observable, catchError, switchMap, throwError } from 'rxjs';
+import { AuthService } from '../services/auth.service';
+
+// Auth endpoints that must never trigger a token refresh
+const NO_REFRESH_PATHS = [
+  '/auth/login', '/auth/register', '/auth/refresh', '/auth/logout',
+  '/auth/forgot-password', '/auth/reset-password', '/auth/verify-email', '/auth/resend-verification'
+];
+
+@Injectable()
+export class AuthInterceptor implements HttpInterceptor {
+  constructor(private authService: AuthService) {}
+
+  intercept(request: HttpRequest<unknown>, next: HttpHandler): Observable<HttpEvent<unknown>> {
+    return next.handle(this.withToken(request, this.authService.getToken())).pipe(
+      catchError((error: HttpErrorResponse) => {
+        if (error.status !== 401 || !this.canRefresh(request)) {
+          return throwError(() => error);
+        }
+
+        // Refresh the expired access token once and replay the request
+        return this.authService.refreshAccessToken().pipe(
+          catchError(refreshError => {
+            this.authService.logout();
+            return throwError(() => refreshError);
+          }),
+          switchMap(token => next.handle(this.withToken(request, token)))
+        );
+      })
+    );
+  }
+
+  private canRefresh(request: HttpRequest<unknown>): boolean {
+    return !!this.authService.getRefreshToken() &&
+           !NO_REFRESH_PATHS.some(path => request.url.includes(path));
+  }
+
+  private withToken(request: HttpRequest<unknown>, token: string | null): HttpRequest<unknown> {
+    return token
+      ? request.clone({ setHeaders: { Authorization: `Bearer ${token}` } })
+      : request;
+  }
+}
\ No newline at end of file
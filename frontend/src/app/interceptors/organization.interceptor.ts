@@ -0,0 +1,26 @@
+import { Injectable } from '@angular/core';
+import { HttpErrorResponse, HttpEvent, HttpHandler, HttpInterceptor, HttpRequest } from '@angular/common/http';
+import { Observable, catchError, throwError } from 'rxjs';
+import { ORGANIZATION_STORAGE_KEY } from '../services/organization.service';
+
+// Scope API requests to the organization the user switched to
+@Injectable()
+export class OrganizationInterceptor implements HttpInterceptor {
+  intercept(request: HttpRequest<unknown>, next: HttpHandler): Observable<HttpEvent<unknown>> {
+    const organizationId = localStorage.getItem(ORGANIZATION_STORAGE_KEY);
+
+    return next.handle(organizationId
+      ? request.clone({ setHeaders: { 'X-Organization-Id': organizationId } })
+      : request).pipe(
+      catchError((error: HttpErrorResponse) => {
+        // The organization was deleted or the user is no longer a member; fall
+        // back to the server's choice on the next request
+        if (error.status === 403 && error.error?.code === 'ORGANIZATION_ACCESS_DENIED' &&
+            localStorage.getItem(ORGANIZATION_STORAGE_KEY) === organizationId) {
+          localStorage.removeItem(ORGANIZATION_STORAGE_KEY);
+        }
+        return throwError(() => error);
+      })
+    );
+  }
+}
\ No newline at end of file
@@ -1,13 +1,15 @@
 import { Injectable } from '@angular/core';
-import { HttpClient } from '@angular/common/http';
-import { BehaviorSubject, Observable, tap } from 'rxjs';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { BehaviorSubject, Observable, finalize, map, shareReplay, tap, throwError } from 'rxjs';
 import { Router } from '@angular/router';
 import { environment } from '../../environments/environment';
+import { ORGANIZATION_STORAGE_KEY } from './organization.service';
 
 export interface User {
   _id: string;
   username: string;
   email: string;
+  emailVerified?: boolean;
   firstName: string;
   lastName: string;
   fullName: string;
@@ -21,16 +23,56 @@ export interface User {
       push: boolean;
       taskUpdates: boolean;
       projectUpdates: boolean;
+      digest?: 'none' | 'daily' | 'weekly';
     };
   };
+  twoFactor?: {
+    enabled: boolean;
+    recoveryCodesLeft: number;
+  };
 }
 
 export interface AuthResponse {
   message: string;
-  token: string;
+  token?: string;
+  refreshToken?: string;
+  expiresIn?: string;
+  verificationRequired?: boolean;
+  twoFactorRequired?: boolean;
+  twoFactorSetupRequired?: boolean;
+  challengeToken?: string;
+  recoveryCodesLeft?: number;
   user: User;
 }
 
+export interface TokenResponse {
+  message: string;
+  token: string;
+  refreshToken: string;
+  expiresIn: string;
+}
+
+export interface LoginAttempt {
+  _id: string;
+  ip: string;
+  userAgent: string;
+  success: boolean;
+  method?: 'password' | 'totp' | 'recovery-code';
+  reason?: string;
+  createdAt: string;
+}
+
+export interface Session {
+  _id: string;
+  device: string;
+  userAgent: string;
+  ip: string;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
 @Injectable({
   providedIn: 'root'
 })
@@ -38,6 +80,7 @@ export class AuthService {
   private apiUrl = `${environment.apiUrl}/auth`;
   private currentUserSubject = new BehaviorSubject<User | null>(null);
   private isAuthenticatedSubject = new BehaviorSubject<boolean>(false);
+  private refreshInFlight$: Observable<string> | null = null;
 
   public currentUser$ = this.currentUserSubject.asObservable();
   public isAuthenticated$ = this.isAuthenticatedSubject.asObservable();
@@ -70,11 +113,15 @@ export class AuthService {
     firstName: string;
     lastName: string;
     department?: string;
+    inviteToken?: string;
   }): Observable<AuthResponse> {
     return this.http.post<AuthResponse>(`${this.apiUrl}/register`, userData)
       .pipe(
         tap(response => {
-          this.setAuthData(response.token, response.user);
+          // No tokens are issued while the email address still needs verifying
+          if (response.token && response.refreshToken) {
+            this.setAuthData({ token: response.token, refreshToken: response.refreshToken }, response.user);
+          }
         })
       );
   }
@@ -83,16 +130,97 @@ export class AuthService {
     return this.http.post<AuthResponse>(`${this.apiUrl}/login`, credentials)
       .pipe(
         tap(response => {
-          this.setAuthData(response.token, response.user);
+          // With 2FA on, the caller completes the login via loginWithTwoFactor()
+          if (response.token && response.refreshToken) {
+            this.setAuthData({ token: response.token, refreshToken: response.refreshToken }, response.user);
+          }
+        })
+      );
+  }
+
+  loginWithTwoFactor(challengeToken: string, factor: { code?: string; recoveryCode?: string }): Observable<AuthResponse> {
+    return this.http.post<AuthResponse>(`${this.apiUrl}/login/2fa`, { challengeToken, ...factor })
+      .pipe(
+        tap(response => {
+          this.setAuthData({ token: response.token!, refreshToken: response.refreshToken! }, response.user);
+        })
+      );
+  }
+
+  setupTwoFactor(password: string): Observable<{ message: string; secret: string; otpauthUri: string }> {
+    return this.http.post<{ message: string; secret: string; otpauthUri: string }>(`${this.apiUrl}/2fa/setup`, { password });
+  }
+
+  confirmTwoFactor(code: string): Observable<{ message: string; recoveryCodes: string[]; user: User }> {
+    return this.http.post<{ message: string; recoveryCodes: string[]; user: User }>(`${this.apiUrl}/2fa/confirm`, { code })
+      .pipe(
+        tap(response => {
+          this.setCurrentUser(response.user);
+        })
+      );
+  }
+
+  regenerateRecoveryCodes(code: string): Observable<{ message: string; recoveryCodes: string[] }> {
+    return this.http.post<{ message: string; recoveryCodes: string[] }>(`${this.apiUrl}/2fa/recovery-codes`, { code });
+  }
+
+  disableTwoFactor(password: string, factor: { code?: string; recoveryCode?: string }): Observable<{ message: string; user: User }> {
+    return this.http.post<{ message: string; user: User }>(`${this.apiUrl}/2fa/disable`, { password, ...factor })
+      .pipe(
+        tap(response => {
+          this.setCurrentUser(response.user);
         })
       );
   }
 
   logout(): void {
-    localStorage.removeItem('token');
-    this.currentUserSubject.next(null);
-    this.isAuthenticatedSubject.next(false);
-    this.router.navigate(['/login']);
+    // Revoke the session server-side; local state is cleared either way
+    if (this.getToken()) {
+      this.http.post(`${this.apiUrl}/logout`, {}).subscribe({ error: () => {} });
+    }
+    this.clearAuthData();
+  }
+
+  logoutAllDevices(): Observable<{ message: string; revokedSessions: number }> {
+    return this.http.post<{ message: string; revokedSessions: number }>(`${this.apiUrl}/logout-all`, {})
+      .pipe(
+        tap(() => this.clearAuthData())
+      );
+  }
+
+  getSessions(): Observable<{ sessions: Session[] }> {
+    return this.http.get<{ sessions: Session[] }>(`${this.apiUrl}/sessions`);
+  }
+
+  getLoginHistory(page = 1, limit = 20): Observable<{ attempts: LoginAttempt[]; pagination: any }> {
+    const params = new HttpParams()
+      .set('page', page)
+      .set('limit', limit);
+    return this.http.get<{ attempts: LoginAttempt[]; pagination: any }>(`${this.apiUrl}/login-history`, { params });
+  }
+
+  revokeSession(sessionId: string): Observable<{ message: string }> {
+    return this.http.delete<{ message: string }>(`${this.apiUrl}/sessions/${sessionId}`);
+  }
+
+  // Exchange the refresh token for a new token pair. Concurrent callers share
+  // one request, since each refresh token can only be used once.
+  refreshAccessToken(): Observable<string> {
+    const refreshToken = this.getRefreshToken();
+    if (!refreshToken) {
+      return throwError(() => new Error('No refresh token'));
+    }
+
+    if (!this.refreshInFlight$) {
+      this.refreshInFlight$ = this.http.post<TokenResponse>(`${this.apiUrl}/refresh`, { refreshToken })
+        .pipe(
+          tap(response => this.storeTokens(response)),
+          map(response => response.token),
+          finalize(() => this.refreshInFlight$ = null),
+          shareReplay(1)
+        );
+    }
+    return this.refreshInFlight$;
   }
 
   getProfile(): Observable<{ user: User }> {
@@ -115,15 +243,52 @@ export class AuthService {
     return this.http.post<{ message: string }>(`${this.apiUrl}/change-password`, passwordData);
   }
 
+  forgotPassword(email: string): Observable<{ message: string }> {
+    return this.http.post<{ message: string }>(`${this.apiUrl}/forgot-password`, { email });
+  }
+
+  resetPassword(token: string, password: string): Observable<{ message: string }> {
+    return this.http.post<{ message: string }>(`${this.apiUrl}/reset-password`, { token, password });
+  }
+
+  verifyEmail(token: string): Observable<{ message: string; user: User }> {
+    return this.http.post<{ message: string; user: User }>(`${this.apiUrl}/verify-email`, { token })
+      .pipe(
+        tap(response => {
+          if (this.isAuthenticated()) {
+            this.setCurrentUser(response.user);
+          }
+        })
+      );
+  }
+
+  resendVerification(email: string): Observable<{ message: string }> {
+    return this.http.post<{ message: string }>(`${this.apiUrl}/resend-verification`, { email });
+  }
+
   verifyToken(): Observable<{ valid: boolean; user: User }> {
     return this.http.post<{ valid: boolean; user: User }>(`${this.apiUrl}/verify-token`, {});
   }
 
-  private setAuthData(token: string, user: User): void {
-    localStorage.setItem('token', token);
+  private setAuthData(tokens: { token: string; refreshToken: string }, user: User): void {
+    this.storeTokens(tokens);
     this.setCurrentUser(user);
   }
 
+  private storeTokens(tokens: { token: string; refreshToken: string }): void {
+    localStorage.setItem('token', tokens.token);
+    localStorage.setItem('refreshToken', tokens.refreshToken);
+  }
+
+  private clearAuthData(): void {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem(ORGANIZATION_STORAGE_KEY);
+    this.currentUserSubject.next(null);
+    this.isAuthenticatedSubject.next(false);
+    this.router.navigate(['/login']);
+  }
+
   private setCurrentUser(user: User): void {
     this.currentUserSubject.next(user);
     this.isAuthenticatedSubject.next(true);
@@ -133,6 +298,10 @@ export class AuthService {
     return localStorage.getItem('token');
   }
 
+  getRefreshToken(): string | null {
+    return localStorage.getItem('refreshToken');
+  }
+
   getCurrentUser(): User | null {
     return this.currentUserSubject.value;
   }
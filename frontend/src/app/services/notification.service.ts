@@ -0,0 +1,84 @@
+import { Injectable } from '@angular/core';
+import { HttpClient, HttpParams } from '@angular/common/http';
+import { BehaviorSubject, Observable, tap } from 'rxjs';
+import { environment } from '../../environments/environment';
+import { SocketService } from './socket.service';
+
+export interface AppNotification {
+  _id: string;
+  type: 'task-assigned' | 'task-unassigned' | 'status-changed' | 'comment' | 'mention' | 'due-soon' | 'member-added';
+  title: string;
+  message?: string;
+  actor?: { _id: string; firstName: string; lastName: string; username: string; avatar?: string };
+  task?: { _id: string; title: string } | string;
+  project?: { _id: string; name: string; color: string } | string;
+  data?: any;
+  isRead: boolean;
+  readAt?: string;
+  createdAt: string;
+}
+
+export interface NotificationPage {
+  notifications: AppNotification[];
+  pagination: {
+    current: number;
+    pages: number;
+    total: number;
+    hasNext: boolean;
+    hasPrev: boolean;
+  };
+}
+
+@Injectable({
+  providedIn: 'root'
+})
+export class NotificationService {
+  private apiUrl = `${environment.apiUrl}/notifications`;
+  private unreadCountSubject = new BehaviorSubject<number>(0);
+
+  public unreadCount$ = this.unreadCountSubject.asObservable();
+
+  constructor(
+    private http: HttpClient,
+    private socketService: SocketService
+  ) {
+    this.socketService.on<AppNotification>('notification').subscribe(() => {
+      this.unreadCountSubject.next(this.unreadCountSubject.value + 1);
+    });
+  }
+
+  get newNotifications$(): Observable<AppNotification> {
+    return this.socketService.on<AppNotification>('notification');
+  }
+
+  getNotifications(options: { page?: number; limit?: number; unread?: boolean } = {}): Observable<NotificationPage> {
+    let params = new HttpParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined) {
+        params = params.set(key, String(value));
+      }
+    });
+    return this.http.get<NotificationPage>(this.apiUrl, { params });
+  }
+
+  refreshUnreadCount(): Observable<{ count: number }> {
+    return this.http.get<{ count: number }>(`${this.apiUrl}/unread-count`)
+      .pipe(
+        tap(response => this.unreadCountSubject.next(response.count))
+      );
+  }
+
+  markAsRead(id: string): Observable<{ message: string; notification: AppNotification }> {
+    return this.http.put<{ message: string; notification: AppNotification }>(`${this.apiUrl}/${id}/read`, {})
+      .pipe(
+        tap(() => this.unreadCountSubject.next(Math.max(this.unreadCountSubject.value - 1, 0)))
+      );
+  }
+
+  markAllAsRead(): Observable<{ message: string; updated: number }> {
+    return this.http.put<{ message: string; updated: number }>(`${this.apiUrl}/read-all`, {})
+      .pipe(
+        tap(() => this.unreadCountSubject.next(0))
+      );
+  }
+}
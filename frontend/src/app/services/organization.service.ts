@@ -0,0 +1,120 @@
+import { Injectable } from '@angular/core';
+import { HttpClient } from '@angular/common/http';
+import { BehaviorSubject, Observable, tap } from 'rxjs';
+import { environment } from '../../environments/environment';
+
+export type OrganizationRole = 'owner' | 'admin' | 'member';
+
+export interface OrganizationLabel {
+  name: string;
+  color: string;
+}
+
+export interface Organization {
+  _id: string;
+  name: string;
+  slug: string;
+  description?: string;
+  owner: { _id: string; firstName: string; lastName: string; username: string; avatar?: string } | string;
+  members: {
+    user: { _id: string; firstName: string; lastName: string; username: string; email?: string; avatar?: string } | string;
+    role: OrganizationRole;
+    joinedAt: string;
+  }[];
+  isPersonal: boolean;
+  defaults: {
+    labels: OrganizationLabel[];
+    workingDays: number[];
+  };
+  role?: OrganizationRole;
+  isCurrent?: boolean;
+  projectCount?: number;
+  createdAt: string;
+}
+
+// Read by OrganizationInterceptor to scope every API request
+export const ORGANIZATION_STORAGE_KEY = 'organizationId';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class OrganizationService {
+  private apiUrl = `${environment.apiUrl}/organizations`;
+  private currentOrganizationSubject = new BehaviorSubject<Organization | null>(null);
+
+  public currentOrganization$ = this.currentOrganizationSubject.asObservable();
+
+  constructor(private http: HttpClient) {}
+
+  // Load the user's organizations and remember the one the server picked
+  loadOrganizations(): Observable<Organization[]> {
+    return this.http.get<Organization[]>(this.apiUrl).pipe(
+      tap(organizations => {
+        const current = organizations.find(organization => organization.isCurrent) || null;
+        this.setCurrentOrganization(current);
+      })
+    );
+  }
+
+  getOrganization(id: string): Observable<Organization> {
+    return this.http.get<Organization>(`${this.apiUrl}/${id}`);
+  }
+
+  createOrganization(data: { name: string; slug?: string; description?: string }): Observable<{ message: string; organization: Organization }> {
+    return this.http.post<{ message: string; organization: Organization }>(this.apiUrl, data);
+  }
+
+  updateOrganization(id: string, data: {
+    name?: string;
+    slug?: string;
+    description?: string;
+    defaults?: Partial<Organization['defaults']>;
+  }): Observable<{ message: string; organization: Organization }> {
+    return this.http.put<{ message: string; organization: Organization }>(`${this.apiUrl}/${id}`, data);
+  }
+
+  deleteOrganization(id: string): Observable<{ message: string }> {
+    return this.http.delete<{ message: string }>(`${this.apiUrl}/${id}`);
+  }
+
+  // Projects, tasks and dashboards are scoped by the organization switched to
+  switchOrganization(id: string): Observable<{ message: string; organization: Organization }> {
+    return this.http.post<{ message: string; organization: Organization }>(`${this.apiUrl}/${id}/switch`, {})
+      .pipe(
+        tap(response => this.setCurrentOrganization(response.organization))
+      );
+  }
+
+  addMember(id: string, userId: string, role: 'admin' | 'member' = 'member'): Observable<{ message: string; organization: Organization }> {
+    return this.http.post<{ message: string; organization: Organization }>(`${this.apiUrl}/${id}/members`, { userId, role });
+  }
+
+  updateMemberRole(id: string, userId: string, role: 'admin' | 'member'): Observable<{ message: string; organization: Organization }> {
+    return this.http.put<{ message: string; organization: Organization }>(`${this.apiUrl}/${id}/members/${userId}`, { role });
+  }
+
+  // Leaving the current organization drops it, so the server picks another
+  removeMember(id: string, userId: string): Observable<{ message: string; left: boolean; removedFromProjects: number }> {
+    return this.http.delete<{ message: string; left: boolean; removedFromProjects: number }>(`${this.apiUrl}/${id}/members/${userId}`)
+      .pipe(
+        tap(response => {
+          if (response.left && localStorage.getItem(ORGANIZATION_STORAGE_KEY) === id) {
+            this.setCurrentOrganization(null);
+          }
+        })
+      );
+  }
+
+  get currentOrganizationValue(): Organization | null {
+    return this.currentOrganizationSubject.value;
+  }
+
+  private setCurrentOrganization(organization: Organization | null): void {
+    if (organization) {
+      localStorage.setItem(ORGANIZATION_STORAGE_KEY, organization._id);
+    } else {
+      localStorage.removeItem(ORGANIZATION_STORAGE_KEY);
+    }
+    this.currentOrganizationSubject.next(organization);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+import { Injectable, OnDestroy } from '@angular/core';
+import { Observable } from 'rxjs';
+import { io, Socket } from 'socket.io-client';
+import { environment } from '../../environments/environment';
+import { AuthService } from './auth.service';
+
+@Injectable({
+  providedIn: 'root'
+})
+export class SocketService implements OnDestroy {
+  private socket: Socket | null = null;
+  private listeners = new Map<string, Set<(data: any) => void>>();
+  private socketUrl = environment.apiUrl.replace(/\/api\/?$/, '');
+
+  constructor(private authService: AuthService) {
+    this.authService.isAuthenticated$.subscribe(isAuthenticated => {
+      if (isAuthenticated) {
+        this.connect();
+      } else {
+        this.disconnect();
+      }
+    });
+  }
+
+  private connect(): void {
+    if (this.socket) {
+      return;
+    }
+
+    // The server verifies this token and joins the user's project rooms itself
+    this.socket = io(this.socketUrl, {
+      auth: (cb) => cb({ token: this.authService.getToken() })
+    });
+
+    this.socket.on('connect_error', (error) => {
+      console.error('Socket connection error:', error.message);
+    });
+
+    // Re-attach listeners registered before the socket existed
+    this.listeners.forEach((handlers, event) => {
+      handlers.forEach(handler => this.socket?.on(event, handler));
+    });
+  }
+
+  disconnect(): void {
+    if (this.socket) {
+      this.socket.disconnect();
+      this.socket = null;
+    }
+  }
+
+  joinProject(projectId: string): Promise<boolean> {
+    return new Promise(resolve => {
+      if (!this.socket) {
+        resolve(false);
+        return;
+      }
+      this.socket.emit('join-project', projectId, (response: { ok: boolean }) => resolve(response.ok));
+    });
+  }
+
+  leaveProject(projectId: string): void {
+    this.socket?.emit('leave-project', projectId);
+  }
+
+  joinTask(taskId: string): Promise<boolean> {
+    return new Promise(resolve => {
+      if (!this.socket) {
+        resolve(false);
+        return;
+      }
+      this.socket.emit('join-task', taskId, (response: { ok: boolean }) => resolve(response.ok));
+    });
+  }
+
+  leaveTask(taskId: string): void {
+    this.socket?.emit('leave-task', taskId);
+  }
+
+  on<T = any>(event: string): Observable<T> {
+    return new Observable<T>(subscriber => {
+      const handler = (data: T) => subscriber.next(data);
+      if (!this.listeners.has(event)) {
+        this.listeners.set(event, new Set());
+      }
+      this.listeners.get(event)!.add(handler);
+      this.socket?.on(event, handler);
+
+      return () => {
+        this.listeners.get(event)?.delete(handler);
+        this.socket?.off(event, handler);
+      };
+    });
+  }
+
+  ngOnDestroy(): void {
+    this.disconnect();
+  }
+}